@@ -0,0 +1,11 @@
+// color.js — colour values for ffmpeg filters, shared by effects.js and layout.js
+import { HttpError } from "./errors.js";
+
+// "#ff0000" / "0xff0000" / "white" -> something ffmpeg's colour parser accepts.
+// Errors read "<where>: '<key>' must be ...", like the other parameter checks.
+export function ffmpegColor(value, where, key) {
+  const c = String(value);
+  if (/^(#|0x)[0-9a-f]{6}$/i.test(c)) return "0x" + c.replace(/^(#|0x)/i, "");
+  if (/^[a-z]+$/i.test(c)) return c.toLowerCase();
+  throw new HttpError(400, `${where}: '${key}' must be a colour name or #RRGGBB`);
+}
@@ -0,0 +1,89 @@
+// composite.js — the /place-on-template render as a single ffmpeg pass: the canvas colour,
+// slot videos, mask/border stills and the template all feed one filter graph (built by
+// layout.js), so the picture is encoded exactly once.
+import { compositeGraph, templateFilter } from "./layout.js";
+import { outputFilters, streamArgs, encodeArgs } from "./encoding.js";
+
+// Image demuxers report a single picture; anything else with a duration has frames to play
+export function isAnimated(info) {
+  const container = info.container || "";
+  if (/_pipe$/.test(container) || container === "image2") return false;
+  return (info.duration || 0) > 0;
+}
+
+// Input args for the template. Stills are looped as one frame. Animated templates loop
+// (GIF/APNG through their own loop flag, which stream_loop can't rewind) or play once,
+// after which overlay holds the last frame. VP8/VP9 alpha only survives libvpx decoding.
+function templateInputArgs({ file, info, animated }, playback) {
+  if (!animated) return ["-loop", "1", "-i", file];
+  const args = [];
+  if (playback === "loop") {
+    args.push(...(/^(gif|apng)$/.test(info.container) ? ["-ignore_loop", "0"] : ["-stream_loop", "-1"]));
+  }
+  if (info.video.codec === "vp9") args.push("-c:v", "libvpx-vp9");
+  if (info.video.codec === "vp8") args.push("-c:v", "libvpx");
+  return [...args, "-i", file];
+}
+
+// inputs: {
+//   videos: Map(video index -> file), infos: Map(video index -> probe),
+//   audio: replacement audio file or null,
+//   stills: [png], decorations: Map(slot -> { mask, border } indexes into stills),
+//   template: { file, info, animated } where a still is the normalized canvas-sized png
+//     and an animated template is the original file (scaled here, alpha kept)
+// }
+// The first video the layout uses sets the duration and carries the audio. Template audio
+// is mixed into whatever the output keeps (audio=keep or replace); audio=drop stays silent.
+export function compositeArgs(layout, inputs, enc, { duration, output }) {
+  const { width: cw, height: ch, background } = layout.canvas;
+  const used = [...inputs.videos.keys()];
+  const primary = used[0];
+  const { template } = inputs;
+
+  // Inputs: 0 canvas colour, then the videos, the replacement audio, the stills and the template
+  const videoIndex = new Map(used.map((i, n) => [i, 1 + n]));
+  const audioIndex = 1 + used.length;
+  const stillBase = audioIndex + (inputs.audio ? 1 : 0);
+  const templateIndex = stillBase + inputs.stills.length;
+  const still = n => (n === undefined ? null : `[${stillBase + n}:v]`);
+
+  const chains = [];
+  if (template.animated) chains.push(`[${templateIndex}:v]${templateFilter(layout)}[tpl]`);
+  const { graph, label } = compositeGraph(layout, {
+    base: "[0:v]",
+    video: slot => `[${videoIndex.get(slot.video)}:v]`,
+    info: slot => inputs.infos.get(slot.video),
+    mask: slot => still(inputs.decorations.get(slot).mask),
+    border: slot => still(inputs.decorations.get(slot).border),
+    template: template.animated ? "[tpl]" : `[${templateIndex}:v]`
+  });
+  chains.push(graph, `${label}${["null", ...outputFilters(enc)].join(",")}[out]`);
+
+  const hasAudio = Boolean(inputs.infos.get(primary).audio);
+  let streams;
+  if (template.info?.audio && layout.template.audio === "mix" && enc.audio !== "drop") {
+    // Padded so a short soundtrack doesn't end the output early; -t does the cutting
+    const jingle = `[${templateIndex}:a:0]volume=${layout.template.volume}`;
+    const main = enc.audio === "replace" ? `[${audioIndex}:a:0]` : hasAudio ? `[${videoIndex.get(primary)}:a:0]` : null;
+    chains.push(main
+      ? `${jingle}[ta];${main}apad[ma];[ma][ta]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[aout]`
+      : `${jingle},apad[aout]`);
+    streams = ["-map", "[out]", "-map", "[aout]"];
+  } else {
+    streams = streamArgs(enc, { video: "[out]", source: videoIndex.get(primary), replacement: audioIndex, hasAudio });
+  }
+
+  return [
+    "-y",
+    "-f", "lavfi", "-i", `color=c=${background}:s=${cw}x${ch}:r=30:d=${duration}`,
+    ...used.flatMap(i => ["-i", inputs.videos.get(i)]),
+    ...(inputs.audio ? ["-i", inputs.audio] : []),
+    ...inputs.stills.flatMap(f => ["-loop", "1", "-i", f]),
+    ...templateInputArgs(template, layout.template.playback),
+    "-filter_complex", chains.join(";"),
+    ...streams,
+    "-t", String(duration),
+    ...encodeArgs(enc),
+    output
+  ];
+}
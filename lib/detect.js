@@ -0,0 +1,400 @@
+// detect.js — border detection (cropdetect) for the crop routes and POST /detect-crop
+import { promises as fs } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { sh } from "./sh.js";
+
+// Samples within this many pixels of the final rectangle count as agreeing
+const TOLERANCE = 4;
+
+function rect(w, h, x, y) {
+  return { x, y, w, h, text: `crop=${w}:${h}:${x}:${y}` };
+}
+
+export function parseCrop(stderrTxt) {
+  const m = [...stderrTxt.matchAll(/crop=(\d+):(\d+):(\d+):(\d+)/g)];
+  if (!m.length) return null;
+  const g = m[m.length - 1];
+  return rect(+g[1], +g[2], +g[3], +g[4]);
+}
+
+// Every per-frame cropdetect line: { t, x, y, w, h }
+export function parseCropSamples(stderrTxt) {
+  return [...stderrTxt.matchAll(/t:\s*(-?[\d.]+).*?crop=(\d+):(\d+):(\d+):(\d+)/g)].map(g => ({
+    t: +g[1], w: +g[2], h: +g[3], x: +g[4], y: +g[5]
+  }));
+}
+
+// Largest edge distance between two rectangles
+function deviation(a, b) {
+  return Math.max(
+    Math.abs(a.x - b.x),
+    Math.abs(a.y - b.y),
+    Math.abs(a.x + a.w - b.x - b.w),
+    Math.abs(a.y + a.h - b.y - b.h)
+  );
+}
+
+// How consistently the analysed frames agree with `crop`
+export function stability(crop, samples) {
+  const deviations = samples.map(s => deviation(s, crop));
+  const agreeing = deviations.filter(d => d <= TOLERANCE).length;
+  return {
+    samples: samples.length,
+    agreeing,
+    ratio: samples.length ? Math.round((agreeing / samples.length) * 100) / 100 : 0,
+    maxDeviation: deviations.length ? Math.max(...deviations) : null
+  };
+}
+
+async function runCropdetect(file, vf, start, seconds) {
+  const { stderr } = await sh("ffmpeg", [
+    "-y", "-ss", String(start), "-t", String(seconds),
+    "-i", file, "-vf", vf, "-f", "null",
+    "-avoid_negative_ts", "make_zero",
+    "-threads", "4", // Limit threads to prevent overload
+    "-"
+  ]);
+  const crop = parseCrop(stderr);
+  return crop && { ...crop, samples: parseCropSamples(stderr) };
+}
+
+// ------------------------------
+// DETECTORS
+// ------------------------------
+// All resolve to { x, y, w, h, text, samples } or null.
+
+export async function detectDarkCrop(file, seconds = 2, start = 2) { // Start at 2 seconds to skip intro
+  const vf = "format=gray,boxblur=16:1:cr=0:ar=0,cropdetect=limit=24:round=2:reset=0";
+  try {
+    return await runCropdetect(file, vf, start, seconds);
+  } catch { return null; }
+}
+
+export async function detectWhiteCrop(file, seconds = 3, start = 2) {
+  const pipelines = [
+    "format=gray,boxblur=28:1:cr=0:ar=0,lut=y='val>238?0:255',cropdetect=limit=6:round=2:reset=0",
+    "format=gray,boxblur=34:1:cr=0:ar=0,lut=y='val>240?0:255',cropdetect=limit=8:round=2:reset=0"
+    // Removed the slower pipelines to speed up processing
+  ];
+  for (const vf of pipelines) {
+    try {
+      const c = await runCropdetect(file, vf, start, seconds);
+      if (c) return c;
+    } catch {}
+  }
+  return null;
+}
+
+// Solid-color borders of any color. Frames are decoded to PPM and scanned in JS:
+// the border color is the median of the outermost pixel ring, and the content
+// rectangle is where rows/columns stop being (almost) entirely that color.
+const COLOR_DISTANCE = 36;   // sum of |dR|+|dG|+|dB| still counted as border
+const BORDER_FILL = 0.97;    // share of a row/column that must match to be border
+const RING_UNIFORMITY = 0.85; // share of the ring that must match for a solid border
+
+export async function grabFrame(file, t) {
+  const dir = await fs.mkdtemp(join(tmpdir(), "frame-"));
+  const out = join(dir, "f.ppm");
+  try {
+    await sh("ffmpeg", [
+      "-y", "-ss", String(t), "-i", file,
+      "-frames:v", "1", "-f", "image2", "-c:v", "ppm", "-pix_fmt", "rgb24",
+      "-threads", "4",
+      out
+    ]);
+    return parsePpm(await fs.readFile(out));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// 8-bit binary PPM only (grabFrame forces rgb24); a truncated frame throws
+export function parsePpm(buf) {
+  const space = i => /\s/.test(String.fromCharCode(buf[i]));
+  const tokens = [];
+  let i = 0;
+  while (tokens.length < 4 && i < buf.length) {
+    while (i < buf.length && space(i)) i++;
+    if (buf[i] === 0x23) { // comment line
+      while (i < buf.length && buf[i] !== 0x0a) i++;
+      continue;
+    }
+    let tok = "";
+    while (i < buf.length && !space(i)) tok += String.fromCharCode(buf[i++]);
+    if (tok) tokens.push(tok);
+  }
+  if (tokens.length < 4 || i >= buf.length) throw new Error("Incomplete PPM header");
+  if (tokens[0] !== "P6") throw new Error("Expected a binary PPM frame");
+  if (tokens[3] !== "255") throw new Error(`Expected an 8-bit PPM frame, got maxval ${tokens[3]}`);
+  const width = +tokens[1], height = +tokens[2];
+  if (!(width > 0 && height > 0)) throw new Error("Invalid PPM dimensions");
+  const size = width * height * 3;
+  if (buf.length - (i + 1) < size) throw new Error("Truncated PPM frame");
+  return { width, height, data: buf.subarray(i + 1, i + 1 + size) };
+}
+
+function pixel(img, x, y) {
+  const o = (y * img.width + x) * 3;
+  return [img.data[o], img.data[o + 1], img.data[o + 2]];
+}
+
+function median(values) {
+  const v = [...values].sort((a, b) => a - b);
+  return v[Math.floor(v.length / 2)];
+}
+
+// Border color estimated from the frame edges, or null when the edges aren't uniform
+export function edgeColor(img) {
+  const ring = [];
+  for (let x = 0; x < img.width; x += 2) ring.push(pixel(img, x, 1), pixel(img, x, img.height - 2));
+  for (let y = 0; y < img.height; y += 2) ring.push(pixel(img, 1, y), pixel(img, img.width - 2, y));
+  const color = [0, 1, 2].map(c => median(ring.map(p => p[c])));
+  const matching = ring.filter(p => distance(p, color) <= COLOR_DISTANCE).length;
+  return matching / ring.length >= RING_UNIFORMITY ? color : null;
+}
+
+function distance(a, b) {
+  return Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]);
+}
+
+// Shrink from each side while `isBorder(line)` holds; returns an even-sized rect
+export function scanRect(img, isBorderRow, isBorderCol) {
+  let top = 0, bottom = img.height - 1, left = 0, right = img.width - 1;
+  while (top < bottom && isBorderRow(top, left, right)) top++;
+  while (bottom > top && isBorderRow(bottom, left, right)) bottom--;
+  while (left < right && isBorderCol(left, top, bottom)) left++;
+  while (right > left && isBorderCol(right, top, bottom)) right--;
+  const x = left + (left % 2), y = top + (top % 2);
+  const w = Math.max(2, (right + 1 - x) & ~1), h = Math.max(2, (bottom + 1 - y) & ~1);
+  return rect(w, h, x, y);
+}
+
+function colorRect(img, color) {
+  const rowMatches = (y, x0, x1) => {
+    let n = 0;
+    for (let x = x0; x <= x1; x++) if (distance(pixel(img, x, y), color) <= COLOR_DISTANCE) n++;
+    return n / (x1 - x0 + 1) >= BORDER_FILL;
+  };
+  const colMatches = (x, y0, y1) => {
+    let n = 0;
+    for (let y = y0; y <= y1; y++) if (distance(pixel(img, x, y), color) <= COLOR_DISTANCE) n++;
+    return n / (y1 - y0 + 1) >= BORDER_FILL;
+  };
+  return scanRect(img, rowMatches, colMatches);
+}
+
+// Frames at the start, middle and end of a window
+function frameTimes(start, seconds) {
+  return [start, start + seconds / 2, start + seconds * 0.9].map(t => Math.round(t * 100) / 100);
+}
+
+// Run `findRect(img)` on frames across the window and merge the per-frame rectangles
+async function scanFrames(file, seconds, start, findRect) {
+  const samples = [];
+  for (const t of frameTimes(start, seconds)) {
+    let img;
+    try {
+      img = await grabFrame(file, t);
+    } catch { continue; }
+    const r = findRect(img);
+    // A (nearly) uniform frame, e.g. a fade to black, says nothing about the borders
+    if (!r || r.w * r.h < img.width * img.height * 0.05) continue;
+    samples.push({ t, ...r });
+  }
+  if (!samples.length) return null;
+  return { ...consensus(samples), samples };
+}
+
+export async function detectColorCrop(file, seconds = 2, start = 2) {
+  let color = null;
+  const crop = await scanFrames(file, seconds, start, img => {
+    const c = edgeColor(img);
+    if (c) color = color || c;
+    return c && colorRect(img, c);
+  });
+  return crop && { ...crop, color: "#" + color.map(v => v.toString(16).padStart(2, "0")).join("") };
+}
+
+// Blurred (or upscaled) copies of the video behind it, as /expand-image produces.
+// The border isn't one color but it has little fine detail: measure the gradient
+// texture on the frame edges and treat rows/columns that stay that smooth as border.
+const BLUR_MAX_TEXTURE = 24; // edge gradient (p95) above this means the edges are real content
+const BLUR_DETAIL_SHARE = 0.06; // a border line may have this share of detailed pixels
+
+function gradientMap(img) {
+  const { width, height, data } = img;
+  const luma = new Uint8Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = (data[i * 3] * 77 + data[i * 3 + 1] * 150 + data[i * 3 + 2] * 29) >> 8;
+  }
+  const grad = new Uint8Array(width * height);
+  for (let y = 0; y < height - 1; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      const i = y * width + x;
+      grad[i] = Math.min(255, Math.abs(luma[i] - luma[i + 1]) + Math.abs(luma[i] - luma[i + width]));
+    }
+  }
+  return grad;
+}
+
+function percentile(values, p) {
+  const v = [...values].sort((a, b) => a - b);
+  return v[Math.min(v.length - 1, Math.floor(v.length * p))];
+}
+
+// Border texture from a 3px band inside the frame edge, or null if the edges are detailed
+export function edgeTexture(img, grad) {
+  const { width, height } = img;
+  const ring = [];
+  for (let d = 1; d <= 3; d++) {
+    for (let x = 0; x < width - 1; x += 2) ring.push(grad[d * width + x], grad[(height - 1 - d) * width + x]);
+    for (let y = 0; y < height - 1; y += 2) ring.push(grad[y * width + d], grad[y * width + width - 1 - d]);
+  }
+  const p95 = percentile(ring, 0.95);
+  return p95 <= BLUR_MAX_TEXTURE ? { p95, threshold: Math.max(6, p95 * 1.5) } : null;
+}
+
+function blurRect(img) {
+  const grad = gradientMap(img);
+  const texture = edgeTexture(img, grad);
+  if (!texture) return null;
+  const { width } = img;
+  const rowSmooth = (y, x0, x1) => {
+    let n = 0;
+    for (let x = x0; x <= x1; x++) if (grad[y * width + x] > texture.threshold) n++;
+    return n / (x1 - x0 + 1) <= BLUR_DETAIL_SHARE;
+  };
+  const colSmooth = (x, y0, y1) => {
+    let n = 0;
+    for (let y = y0; y <= y1; y++) if (grad[y * width + x] > texture.threshold) n++;
+    return n / (y1 - y0 + 1) <= BLUR_DETAIL_SHARE;
+  };
+  return scanRect(img, rowSmooth, colSmooth);
+}
+
+export async function detectBlurCrop(file, seconds = 2, start = 2) {
+  return scanFrames(file, seconds, start, blurRect);
+}
+
+// ------------------------------
+// ANALYSIS
+// ------------------------------
+export const BACKGROUNDS = ["dark", "white", "color", "blur", "auto"];
+
+// Order matters for "auto": on equal confidence the earlier (simpler) detector wins
+const detectors = { dark: detectDarkCrop, white: detectWhiteCrop, color: detectColorCrop, blur: detectBlurCrop };
+
+const WINDOW_COUNT = 3;
+const WINDOW_SECONDS = 2;
+
+// Analysis windows spread across the clip; short clips get one window over everything
+export function sampleWindows(duration) {
+  if (!duration || duration <= 0) return [{ start: 0, duration: WINDOW_SECONDS }];
+  if (duration <= WINDOW_SECONDS * 1.5) return [{ start: 0, duration: Math.max(0.1, duration) }];
+  const len = Math.min(WINDOW_SECONDS, duration / WINDOW_COUNT);
+  return Array.from({ length: WINDOW_COUNT }, (_, i) => {
+    const center = (duration * (i + 1)) / (WINDOW_COUNT + 1);
+    const start = Math.min(Math.max(0, center - len / 2), duration - len);
+    return { start: Math.round(start * 100) / 100, duration: Math.round(len * 100) / 100 };
+  });
+}
+
+// The rectangle most candidates agree with; ties go to the larger (less destructive) one
+export function consensus(rects) {
+  let best = null, bestVotes = -1;
+  for (const r of rects) {
+    const votes = rects.filter(o => deviation(o, r) <= TOLERANCE).length;
+    if (votes > bestVotes || (votes === bestVotes && r.w * r.h > best.w * best.h)) {
+      best = r;
+      bestVotes = votes;
+    }
+  }
+  return rect(best.w, best.h, best.x, best.y);
+}
+
+const ratio = (a, b) => Math.round((a / b) * 10000) / 10000;
+
+// Describe a detected rectangle for JSON consumers. `frame` is { width, height }
+// of the source so callers can rescale the rectangle for other renditions.
+function describe(background, crop, samples, frame, windows, extra = {}) {
+  const stable = stability(crop, samples);
+  const hasBorders = Boolean(frame.width && frame.height) &&
+    (crop.w < frame.width - TOLERANCE || crop.h < frame.height - TOLERANCE);
+  // Keep the sample list readable for long windows
+  const step = Math.max(1, Math.ceil(samples.length / 60));
+  return {
+    background,
+    x: crop.x, y: crop.y, w: crop.w, h: crop.h,
+    crop: crop.text,
+    confidence: stable.ratio,
+    hasBorders,
+    ...extra,
+    frame,
+    relative: frame.width && frame.height ? {
+      x: ratio(crop.x, frame.width), y: ratio(crop.y, frame.height),
+      w: ratio(crop.w, frame.width), h: ratio(crop.h, frame.height)
+    } : null,
+    windows,
+    stability: stable,
+    samples: samples
+      .filter((_, i) => i % step === 0)
+      .map(s => ({ t: s.t, x: s.x, y: s.y, w: s.w, h: s.h, deviation: deviation(s, crop) }))
+  };
+}
+
+// Run one detector over every window and merge the windows into one rectangle
+async function detectAcross(name, file, windows, frame) {
+  const found = [];
+  for (const w of windows) {
+    const r = await detectors[name](file, w.duration, w.start);
+    if (r) found.push({ window: w, crop: r });
+  }
+  if (!found.length) return null;
+  const crop = consensus(found.map(f => f.crop));
+  const samples = found.flatMap(f => f.crop.samples.length ? f.crop.samples : [{ t: f.window.start, ...f.crop }]);
+  const color = found.find(f => f.crop.color)?.crop.color;
+  return describe(name, crop, samples, frame,
+    found.map(f => ({ ...f.window, crop: f.crop.text })),
+    color ? { color } : {});
+}
+
+// In "auto", how consistent a detector must be before its crop is trusted. The blur
+// detector only sees "little texture", which smooth skies and walls also have.
+const MIN_CONFIDENCE = { dark: 0.5, white: 0.5, color: 0.5, blur: 0.9 };
+
+// Tie-break at equal confidence: a solid-border crop, then "no borders", then a blur crop
+function preference(r) {
+  if (!r.hasBorders) return 1;
+  return r.background === "blur" ? 0 : 2;
+}
+
+// Run one (or, for "auto", every) detector across windows spread over the clip.
+// "auto" takes the most consistent rectangle, ignoring crops below their detector's
+// MIN_CONFIDENCE. When nothing is found the full frame comes back with `fallback: true`.
+export async function analyseCrop(file, { background = "auto", frame = {}, duration = null } = {}) {
+  const windows = sampleWindows(duration);
+  const names = background === "auto" ? Object.keys(detectors) : [background];
+  const results = [];
+  for (const name of names) {
+    const r = await detectAcross(name, file, windows, frame);
+    if (r) results.push(r);
+  }
+  const candidates = background === "auto"
+    ? results.filter(r => !r.hasBorders || r.confidence >= MIN_CONFIDENCE[r.background])
+    : results;
+  if (!candidates.length) {
+    if (!frame.width || !frame.height) return null;
+    const full = rect(frame.width & ~1, frame.height & ~1, 0, 0);
+    return { ...describe(background, full, [], frame, windows), fallback: true };
+  }
+  return candidates.reduce((best, r) =>
+    r.confidence > best.confidence ||
+    (r.confidence === best.confidence && preference(r) > preference(best)) ? r : best);
+}
+
+// Parse a caller-supplied rectangle ("crop=w:h:x:y" or "w:h:x:y")
+export function parseCropParam(value) {
+  const m = String(value || "").match(/^(?:crop=)?(\d+):(\d+):(\d+):(\d+)$/);
+  return m ? rect(+m[1], +m[2], +m[3], +m[4]) : null;
+}
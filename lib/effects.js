@@ -0,0 +1,134 @@
+// effects.js — /manipulate-video effect pipeline: parse, validate, compile into one filter chain
+import { HttpError } from "./errors.js";
+import { ffmpegColor } from "./color.js";
+
+const MAX_EFFECTS = 12;
+
+// [default, min, max] for numeric params, a string default for colours.
+// Defaults are the values the single-effect route has always used.
+const EFFECTS = {
+  zoom: {
+    params: { factor: [1.05, 1, 4] },
+    build: ({ factor: f }) => ({ vf: `scale=iw*${f}:ih*${f},crop=iw/${f}:ih/${f}:(iw-iw/${f})/2:(ih-ih/${f})/2` })
+  },
+  speed: {
+    params: { ratio: [1.05, 1, 4] },
+    build: ({ ratio }) => ({ vf: `setpts=PTS/${ratio}`, tempo: ratio })
+  },
+  slow: {
+    params: { ratio: [1.05, 1, 4] },
+    build: ({ ratio }) => ({ vf: `setpts=PTS*${ratio}`, tempo: 1 / ratio })
+  },
+  mirror: {
+    params: {},
+    build: () => ({ vf: "hflip" })
+  },
+  "crop-top": {
+    params: { percent: [5, 0, 45] },
+    build: ({ percent }) => ({ vf: `crop=iw:ih*${round(1 - percent / 100)}:0:ih*${round(percent / 100)}` })
+  },
+  "crop-bottom": {
+    params: { percent: [5, 0, 45] },
+    build: ({ percent }) => ({ vf: `crop=iw:ih*${round(1 - percent / 100)}:0:0` })
+  },
+  // percent is per side
+  "crop-sides": {
+    params: { percent: [2, 0, 45] },
+    build: ({ percent }) => ({ vf: `crop=iw*${round(1 - (2 * percent) / 100)}:ih:iw*${round(percent / 100)}:0` })
+  },
+  // thickness is a percentage of the frame per bar
+  "bars-horizontal": {
+    params: { thickness: [2, 0, 25], color: "black" },
+    build: ({ thickness, color }) => ({ vf: `pad=iw:ih*${round(1 + (2 * thickness) / 100)}:0:ih*${round(thickness / 100)}:${color}` })
+  },
+  "bars-vertical": {
+    params: { thickness: [2, 0, 25], color: "black" },
+    build: ({ thickness, color }) => ({ vf: `pad=iw*${round(1 + (2 * thickness) / 100)}:ih:iw*${round(thickness / 100)}:0:${color}` })
+  },
+  "bars-top": {
+    params: { thickness: [2, 0, 25], color: "black" },
+    build: ({ thickness, color }) => ({ vf: `pad=iw:ih*${round(1 + thickness / 100)}:0:ih*${round(thickness / 100)}:${color}` })
+  }
+};
+
+export const EFFECT_NAMES = Object.keys(EFFECTS);
+
+function bad(message) {
+  return new HttpError(400, message);
+}
+
+function round(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+// Fill defaults and range-check one step's params
+function resolveParams(effect, given) {
+  const spec = EFFECTS[effect].params;
+  const unknown = Object.keys(given).filter(k => !(k in spec));
+  if (unknown.length) throw bad(`${effect}: unknown parameter '${unknown[0]}'`);
+  const params = {};
+  for (const [key, def] of Object.entries(spec)) {
+    if (typeof def === "string") {
+      params[key] = ffmpegColor(given[key] ?? def, effect, key);
+      continue;
+    }
+    const [fallback, min, max] = def;
+    const v = given[key] === undefined ? fallback : Number(given[key]);
+    if (!Number.isFinite(v) || v < min || v > max) throw bad(`${effect}: '${key}' must be between ${min} and ${max}`);
+    params[key] = v;
+  }
+  return params;
+}
+
+// "zoom" or "bars-top:thickness=3,color=white" -> { effect, ...params }
+function parseEffectParam(text) {
+  const [effect, rest = ""] = String(text).split(/:(.*)/s);
+  const step = { effect };
+  for (const pair of rest.split(",").filter(Boolean)) {
+    const [key, value] = pair.split("=");
+    if (!key || value === undefined) throw bad(`Invalid effect parameter '${pair}' (expected key=value)`);
+    step[key.trim()] = value.trim();
+  }
+  return step;
+}
+
+// Steps from a JSON pipeline ([{ effect, ...params }], also accepted as a JSON string)
+// or from one or more ?effect= params. Returns [{ effect, params }].
+export function parsePipeline({ pipeline, effect }) {
+  let steps;
+  if (pipeline !== undefined) {
+    if (typeof pipeline === "string") {
+      try {
+        pipeline = JSON.parse(pipeline);
+      } catch {
+        throw bad("'pipeline' must be a JSON array of effects");
+      }
+    }
+    if (!Array.isArray(pipeline)) throw bad("'pipeline' must be a JSON array of effects");
+    steps = pipeline.map(s => (typeof s === "string" ? { effect: s } : s));
+  } else {
+    steps = [].concat(effect ?? []).map(parseEffectParam);
+  }
+
+  if (!steps.length) throw bad(`Invalid effect. Must be one of: ${EFFECT_NAMES.join(", ")}`);
+  if (steps.length > MAX_EFFECTS) throw bad(`At most ${MAX_EFFECTS} effects per pipeline`);
+  return steps.map(step => {
+    const { effect: name, ...given } = step || {};
+    if (!EFFECTS[name]) throw bad(`Invalid effect '${name}'. Must be one of: ${EFFECT_NAMES.join(", ")}`);
+    return { effect: name, params: resolveParams(name, given) };
+  });
+}
+
+// One filter chain for the whole pipeline; tempo is the overall speed ratio
+// (for atempo'ing kept audio and for the output duration)
+export function compilePipeline(steps) {
+  let tempo = 1;
+  const filters = steps.map(({ effect, params }) => {
+    const built = EFFECTS[effect].build(params);
+    if (built.tempo) tempo *= built.tempo;
+    return built.vf;
+  });
+  // zoom/crop/pad factors can land on odd sizes, which yuv420p encoders reject
+  filters.push("scale=trunc(iw/2)*2:trunc(ih/2)*2");
+  return { vf: filters.join(","), tempo };
+}
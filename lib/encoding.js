@@ -0,0 +1,173 @@
+// encoding.js — output encoding profiles and the ffmpeg args every video route encodes with
+import { HttpError } from "./errors.js";
+
+const CODECS = {
+  h264: { lib: "libx264", ext: ".mp4", type: "video/mp4", audio: "aac", maxCrf: 51 },
+  h265: { lib: "libx265", ext: ".mp4", type: "video/mp4", audio: "aac", maxCrf: 51, tag: "hvc1" },
+  vp9: { lib: "libvpx-vp9", ext: ".webm", type: "video/webm", audio: "libopus", maxCrf: 63 }
+};
+
+const PRESETS = ["ultrafast", "superfast", "veryfast", "faster", "fast", "medium", "slow", "slower", "veryslow"];
+
+// keep: re-encode the source soundtrack, drop: silent output,
+// replace: use a separately uploaded track (padded/cut to the video length)
+export const AUDIO_MODES = ["keep", "drop", "replace"];
+
+// What the routes have always produced: fast H.264, no audio
+const BASE = { codec: "h264", preset: "ultrafast", crf: 18, audio: "drop" };
+
+export const PROFILES = {
+  "fast-draft": { codec: "h264", preset: "ultrafast", crf: 28, maxHeight: 720 },
+  "social-high": { codec: "h264", preset: "medium", crf: 18, fps: 30, audio: "keep" },
+  "archive": { codec: "h265", preset: "slow", crf: 16, audio: "keep" }
+};
+
+function bad(message) {
+  return new HttpError(400, message);
+}
+
+function positiveInt(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw bad(`'${name}' must be a positive integer`);
+  return n;
+}
+
+// Resolve route defaults < ?profile= < individual query overrides into one settings object:
+// { profile, codec, preset, crf, bitrate, maxWidth, maxHeight, fps, audio, ext, type }
+export function encodingSettings(query = {}, routeDefaults = {}) {
+  if (query.profile !== undefined && !PROFILES[query.profile]) {
+    throw bad(`Unknown profile. Must be one of: ${Object.keys(PROFILES).join(", ")}`);
+  }
+  const s = { ...BASE, ...routeDefaults, ...(PROFILES[query.profile] || {}), profile: query.profile || null };
+
+  if (query.codec !== undefined) {
+    if (!CODECS[query.codec]) throw bad(`Invalid codec. Must be one of: ${Object.keys(CODECS).join(", ")}`);
+    s.codec = query.codec;
+  }
+  if (query.preset !== undefined) {
+    if (!PRESETS.includes(query.preset)) throw bad(`Invalid preset. Must be one of: ${PRESETS.join(", ")}`);
+    s.preset = query.preset;
+  }
+  if (query.crf !== undefined) {
+    const crf = Number(query.crf);
+    if (!Number.isInteger(crf) || crf < 0 || crf > CODECS[s.codec].maxCrf) {
+      throw bad(`'crf' must be an integer between 0 and ${CODECS[s.codec].maxCrf} for ${s.codec}`);
+    }
+    s.crf = crf;
+    s.bitrate = null;
+  }
+  if (query.bitrate !== undefined) {
+    if (!/^\d+(\.\d+)?[kKmM]?$/.test(query.bitrate)) throw bad("'bitrate' must look like 2500k or 4M");
+    s.bitrate = query.bitrate;
+  }
+  if (query.maxWidth !== undefined) s.maxWidth = positiveInt(query.maxWidth, "maxWidth");
+  if (query.maxHeight !== undefined) s.maxHeight = positiveInt(query.maxHeight, "maxHeight");
+  if (query.fps !== undefined) {
+    const fps = Number(query.fps);
+    if (!(fps > 0 && fps <= 120)) throw bad("'fps' must be between 0 and 120");
+    s.fps = fps;
+  }
+  if (query.audio !== undefined) {
+    if (!AUDIO_MODES.includes(query.audio)) throw bad(`Invalid audio. Must be one of: ${AUDIO_MODES.join(", ")}`);
+    s.audio = query.audio;
+  }
+
+  s.crf = Math.min(s.crf, CODECS[s.codec].maxCrf);
+  s.ext = CODECS[s.codec].ext;
+  s.type = CODECS[s.codec].type;
+  return s;
+}
+
+// Filters to append to a route's video chain (max resolution, frame rate)
+export function outputFilters(s) {
+  const filters = [];
+  if (s.maxWidth || s.maxHeight) {
+    filters.push(
+      `scale=w='min(iw,${s.maxWidth || "iw"})':h='min(ih,${s.maxHeight || "ih"})':force_original_aspect_ratio=decrease`,
+      "scale=trunc(iw/2)*2:trunc(ih/2)*2"
+    );
+  }
+  if (s.fps) filters.push(`fps=${s.fps}`);
+  return filters;
+}
+
+// x264/x265 style preset names mapped onto libvpx speed controls
+function vp9Speed(preset) {
+  const i = PRESETS.indexOf(preset);
+  if (i <= 2) return ["-deadline", "realtime", "-cpu-used", "8"];
+  if (i <= 4) return ["-deadline", "good", "-cpu-used", "4"];
+  if (i === 5) return ["-deadline", "good", "-cpu-used", "2"];
+  return ["-deadline", "good", "-cpu-used", "1"];
+}
+
+export function videoCodecArgs(s) {
+  const codec = CODECS[s.codec];
+  const args = ["-c:v", codec.lib];
+  if (s.codec === "vp9") {
+    args.push(...vp9Speed(s.preset), "-row-mt", "1");
+    args.push(...(s.bitrate ? ["-b:v", s.bitrate] : ["-crf", String(s.crf), "-b:v", "0"]));
+  } else {
+    args.push("-preset", s.preset);
+    args.push(...(s.bitrate ? ["-b:v", s.bitrate, "-maxrate", s.bitrate, "-bufsize", s.bitrate] : ["-crf", String(s.crf)]));
+  }
+  if (codec.tag) args.push("-tag:v", codec.tag);
+  args.push("-pix_fmt", "yuv420p");
+  return args;
+}
+
+// Audio codecs each output container takes as-is
+const COPYABLE_AUDIO = {
+  ".mp4": ["aac", "mp3", "ac3", "eac3", "alac"],
+  ".webm": ["opus", "vorbis"]
+};
+
+// `sourceAudio` (the probed audio stream) lets a kept, unfiltered track be stream-copied
+// when the container accepts its codec, instead of re-encoded
+export function audioCodecArgs(s, { sourceAudio = null, tempo = 1 } = {}) {
+  if (s.audio === "drop") return ["-an"];
+  if (s.audio === "keep" && sourceAudio && !atempo(tempo) && COPYABLE_AUDIO[s.ext]?.includes(sourceAudio.codec)) {
+    return ["-c:a", "copy"];
+  }
+  return ["-c:a", CODECS[s.codec].audio, "-b:a", "160k"];
+}
+
+// atempo only takes 0.5-2.0 per instance, so larger ratios are chained
+export function atempo(ratio) {
+  const parts = [];
+  let r = ratio;
+  while (r > 2) { parts.push("atempo=2"); r /= 2; }
+  while (r < 0.5) { parts.push("atempo=0.5"); r /= 0.5; }
+  if (Math.abs(r - 1) > 1e-6) parts.push(`atempo=${Math.round(r * 1e6) / 1e6}`);
+  return parts.join(",");
+}
+
+// -map/-af args for the output streams. `video` is a filter label or stream spec,
+// `source` the input index of the original video, `replacement` the input index of the
+// replacement track, `tempo` the speed ratio the video filters applied (kept audio follows it).
+export function streamArgs(s, { video = "0:v", source = 0, replacement = 1, hasAudio = true, tempo = 1 } = {}) {
+  const args = ["-map", video];
+  if (s.audio === "keep" && hasAudio) {
+    args.push("-map", `${source}:a:0`);
+    const af = atempo(tempo);
+    if (af) args.push("-af", af);
+  }
+  if (s.audio === "replace") args.push("-map", `${replacement}:a:0`, "-af", "apad", "-shortest");
+  return args;
+}
+
+// Everything after the filters: codecs, container flags, thread cap. `audio` is passed on
+// to audioCodecArgs() by routes that leave the soundtrack alone.
+export function encodeArgs(s, audio) {
+  return [
+    ...videoCodecArgs(s),
+    ...audioCodecArgs(s, audio),
+    ...(s.ext === ".mp4" ? ["-movflags", "+faststart"] : []),
+    "-avoid_negative_ts", "make_zero",
+    "-threads", "4"
+  ];
+}
+
+// "cropped.mp4" -> "cropped.webm" when the settings produce WebM
+export function outputName(name, s) {
+  return name.replace(/\.[^.]+$/, "") + s.ext;
+}
@@ -0,0 +1,11 @@
+// errors.js — error types shared by routes and subsystems
+
+// Errors with an HTTP status; anything else thrown by a route is a 500
+export class HttpError extends Error {
+  constructor(status, message, body, headers) {
+    super(message);
+    this.status = status;
+    this.body = body || { error: message };
+    this.headers = headers || null;
+  }
+}
@@ -0,0 +1,147 @@
+// jobs.js — in-memory background job queue for long-running operations
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { serverBusy } from "./pool.js";
+
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2);
+const JOB_TTL_MS = Number(process.env.JOB_TTL_SECONDS || 3600) * 1000;
+// Queued jobs hold their whole request body in memory, so the queue is capped too
+const JOB_MAX_QUEUE = Number(process.env.JOB_MAX_QUEUE || 20);
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+// Per-job "state" and "progress" events, keyed by job id
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Admission control for background work: 503 while the job queue is full
+export function admitJob() {
+  if (pending.length >= JOB_MAX_QUEUE) throw serverBusy();
+}
+
+// Queue `run(job)` under an operation name; it must resolve to an operation result.
+// Throws the 503 from admitJob() when the queue filled up while the body was read.
+export function createJob(operation, run) {
+  admitJob();
+  const job = {
+    id: randomUUID(),
+    operation,
+    state: "queued",
+    progress: 0,
+    encoding: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    result: null,
+    run
+  };
+  jobs.set(job.id, job);
+  pending.push(job);
+  drain();
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Public view of a job (no handles, no result payload)
+export function jobStatus(job) {
+  return {
+    id: job.id,
+    operation: job.operation,
+    state: job.state,
+    progress: job.progress,
+    encoding: job.encoding,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt && new Date(job.startedAt).toISOString(),
+    finishedAt: job.finishedAt && new Date(job.finishedAt).toISOString(),
+    error: job.error
+  };
+}
+
+// Listen to a job's events; returns the unsubscribe function
+export function subscribe(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+export function isFinished(job) {
+  return job.state === "done" || job.state === "failed";
+}
+
+function setState(job, state) {
+  job.state = state;
+  events.emit(job.id, "state", jobStatus(job));
+}
+
+// Context handed to operation handlers while they run as a job
+function jobContext(job) {
+  const ctx = {
+    // pct is 0-100 for the whole job; details carries fps/speed/eta of the current encode
+    progress(pct, details) {
+      job.progress = Math.max(job.progress, Math.min(100, Math.round(pct * 10) / 10));
+      if (details) job.encoding = { fps: details.fps, speed: details.speed, eta: details.eta };
+      events.emit(job.id, "progress", { progress: job.progress, ...details });
+    },
+    // Progress callback for one ffmpeg step covering `from`..`to` percent of the job
+    span(from, to) {
+      return p => {
+        if (p.percent !== null) ctx.progress(from + ((to - from) * p.percent) / 100, p);
+      };
+    }
+  };
+  return ctx;
+}
+
+export function jobStats() {
+  return { running, queued: pending.length, maxQueue: JOB_MAX_QUEUE, total: jobs.size, concurrency: JOB_CONCURRENCY };
+}
+
+function drain() {
+  while (running < JOB_CONCURRENCY && pending.length) {
+    const job = pending.shift();
+    running++;
+    execute(job).finally(() => {
+      running--;
+      drain();
+    });
+  }
+}
+
+async function execute(job) {
+  job.startedAt = Date.now();
+  setState(job, "running");
+  console.log(`[jobs] ${job.id} (${job.operation}) started`);
+  try {
+    job.result = await job.run(jobContext(job));
+    job.progress = 100;
+    job.finishedAt = Date.now();
+    setState(job, "done");
+    console.log(`[jobs] ${job.id} done`);
+  } catch (e) {
+    job.error = { status: e.status || 500, ...(e.body || { error: String(e.message || e) }) };
+    job.finishedAt = Date.now();
+    setState(job, "failed");
+    console.error(`[jobs] ${job.id} failed:`, e.message || e);
+  } finally {
+    job.run = null;
+  }
+}
+
+// Drop finished jobs (and their result files) once they are older than JOB_TTL
+setInterval(async () => {
+  const now = Date.now();
+  for (const job of jobs.values()) {
+    if (!job.finishedAt || now - job.finishedAt < JOB_TTL_MS) continue;
+    jobs.delete(job.id);
+    try {
+      await job.result?.cleanup?.();
+    } catch (e) {
+      console.error(`[jobs] cleanup failed for ${job.id}:`, e);
+    }
+  }
+}, 60_000).unref();
@@ -0,0 +1,235 @@
+// layout.js — declarative layouts for /place-on-template: canvas size, video slots with
+// fit, alignment, rounded corners and borders, and their order relative to the template.
+//
+// {
+//   "canvas": { "width": 1080, "height": 1920, "background": "black" },
+//   "template": { "fit": "contain", "playback": "loop", "audio": "mix", "volume": 1 },
+//   "slots": [
+//     { "name": "main", "video": 0, "x": 0, "y": 300, "w": 1080, "h": 1344, "fit": "cover",
+//       "align": "center", "radius": 32, "border": { "width": 6, "color": "#ffffff" },
+//       "layer": "above", "z": 0 }
+//   ]
+// }
+//
+// layer "below" puts a slot under the template, for frames with transparent windows.
+// Within a layer, slots stack by z (then by position in the list).
+// Animated templates (GIF, APNG, MP4/WebM) "loop" or "hold" their last frame for the
+// length of the content; their soundtrack is mixed in ("audio": "mix") at "volume".
+import { HttpError } from "./errors.js";
+import { ffmpegColor } from "./color.js";
+
+export const FITS = ["contain", "cover", "stretch"];
+export const LAYERS = ["above", "below"];
+export const PLAYBACK = ["loop", "hold"];
+export const TEMPLATE_AUDIO = ["mix", "off"];
+const ALIGNS = {
+  center: [0.5, 0.5], top: [0.5, 0], bottom: [0.5, 1], left: [0, 0.5], right: [1, 0.5],
+  "top-left": [0, 0], "top-right": [1, 0], "bottom-left": [0, 1], "bottom-right": [1, 1]
+};
+const MAX_CANVAS = 3840;
+const MAX_SLOTS = 8;
+
+function bad(message) {
+  return new HttpError(400, message);
+}
+
+function int(value, where, key, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw bad(`${where}: '${key}' must be a whole number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function oneOf(value, list, where, key) {
+  if (!list.includes(value)) throw bad(`${where}: '${key}' must be one of: ${list.join(", ")}`);
+  return value;
+}
+
+function parseSlot(raw, i, canvas) {
+  const where = `slots[${i}]${raw?.name ? ` ("${raw.name}")` : ""}`;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw bad(`${where}: must be an object`);
+  const w = int(raw.w, where, "w", 2, canvas.width);
+  const h = int(raw.h, where, "h", 2, canvas.height);
+  const x = int(raw.x, where, "x", 0, canvas.width - w);
+  const y = int(raw.y, where, "y", 0, canvas.height - h);
+  const border = raw.border ?? { width: 0 };
+  if (typeof border !== "object") throw bad(`${where}: 'border' must be an object like { "width": 4, "color": "white" }`);
+  return {
+    name: raw.name === undefined ? `slot${i + 1}` : String(raw.name).slice(0, 60),
+    video: raw.video === undefined ? i : int(raw.video, where, "video", 0, MAX_SLOTS - 1),
+    x, y, w, h,
+    fit: oneOf(raw.fit ?? "contain", FITS, where, "fit"),
+    align: oneOf(raw.align ?? "center", Object.keys(ALIGNS), where, "align"),
+    radius: int(raw.radius ?? 0, where, "radius", 0, Math.floor(Math.min(w, h) / 2)),
+    border: {
+      width: int(border.width ?? 0, where, "border.width", 0, 200),
+      color: ffmpegColor(border.color ?? "white", where, "border.color")
+    },
+    layer: oneOf(raw.layer ?? "above", LAYERS, where, "layer"),
+    z: raw.z === undefined ? 0 : int(raw.z, where, "z", -1000, 1000),
+    order: i
+  };
+}
+
+// JSON text, a Buffer or an object -> validated layout. Errors name the offending slot.
+export function parseLayout(input) {
+  let spec = input;
+  if (Buffer.isBuffer(spec)) spec = spec.toString("utf8");
+  if (typeof spec === "string") {
+    try {
+      spec = JSON.parse(spec);
+    } catch {
+      throw bad("'layout' must be valid JSON");
+    }
+  }
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) throw bad("'layout' must be a JSON object");
+
+  const c = spec.canvas ?? {};
+  const canvas = {
+    width: int(c.width ?? 1080, "canvas", "width", 16, MAX_CANVAS),
+    height: int(c.height ?? 1920, "canvas", "height", 16, MAX_CANVAS),
+    background: ffmpegColor(c.background ?? "black", "canvas", "background")
+  };
+  if (canvas.width % 2 || canvas.height % 2) throw bad("canvas: 'width' and 'height' must be even");
+
+  const t = spec.template ?? {};
+  const volume = t.volume ?? 1;
+  if (typeof volume !== "number" || !(volume >= 0 && volume <= 4)) throw bad("template: 'volume' must be a number between 0 and 4");
+  const template = {
+    fit: oneOf(t.fit ?? "contain", FITS, "template", "fit"),
+    playback: oneOf(t.playback ?? "loop", PLAYBACK, "template", "playback"),
+    audio: oneOf(t.audio ?? "mix", TEMPLATE_AUDIO, "template", "audio"),
+    volume
+  };
+
+  if (!Array.isArray(spec.slots) || !spec.slots.length) throw bad("'slots' must be a non-empty array");
+  if (spec.slots.length > MAX_SLOTS) throw bad(`At most ${MAX_SLOTS} slots are supported`);
+  const slots = spec.slots.map((s, i) => parseSlot(s, i, canvas));
+  return { canvas, template, slots };
+}
+
+// The original ?top=&bottom= placement: one slot across the full width, the video
+// scaled to fit and pinned to the top-left of the space between the margins
+export function legacyLayout(top, bottom) {
+  return parseLayout({
+    canvas: { width: 1080, height: 1920, background: "black" },
+    slots: [{ name: "video", video: 0, x: 0, y: top, w: 1080, h: 1920 - top - bottom, fit: "contain", align: "top-left" }]
+  });
+}
+
+// Videos a layout needs, by index into the uploaded 'video' files
+export function slotVideos(layout) {
+  return [...new Set(layout.slots.map(s => s.video))].sort((a, b) => a - b);
+}
+
+// Displayed size of a source video, after ffmpeg's autorotation
+function displaySize(info) {
+  const quarter = Math.abs(info.video.rotation || 0) % 180 === 90;
+  return quarter ? [info.video.height, info.video.width] : [info.video.width, info.video.height];
+}
+
+// Where a slot's video ends up: scale (and crop) filters plus final size and position
+export function slotGeometry(slot, info) {
+  const [sw, sh] = displaySize(info);
+  const [ax, ay] = ALIGNS[slot.align];
+  if (slot.fit === "stretch") {
+    return { filter: `scale=${slot.w}:${slot.h}`, w: slot.w, h: slot.h, x: slot.x, y: slot.y };
+  }
+  if (slot.fit === "cover") {
+    const r = Math.max(slot.w / sw, slot.h / sh);
+    const cw = Math.max(slot.w, Math.ceil(sw * r));
+    const ch = Math.max(slot.h, Math.ceil(sh * r));
+    const cx = Math.round((cw - slot.w) * ax);
+    const cy = Math.round((ch - slot.h) * ay);
+    return { filter: `scale=${cw}:${ch},crop=${slot.w}:${slot.h}:${cx}:${cy}`, w: slot.w, h: slot.h, x: slot.x, y: slot.y };
+  }
+  const r = Math.min(slot.w / sw, slot.h / sh);
+  const w = Math.max(2, Math.min(slot.w, Math.round(sw * r)));
+  const h = Math.max(2, Math.min(slot.h, Math.round(sh * r)));
+  return {
+    filter: `scale=${w}:${h}`,
+    w, h,
+    x: slot.x + Math.round((slot.w - w) * ax),
+    y: slot.y + Math.round((slot.h - h) * ay)
+  };
+}
+
+// geq expression: 255 inside a W x H rectangle with corners rounded to `r`, 0 outside
+function roundedAlpha(r) {
+  const dx = `max(0,abs(X-(W-1)/2)-((W-1)/2-${r}))`;
+  const dy = `max(0,abs(Y-(H-1)/2)-((H-1)/2-${r}))`;
+  return `255*lte(hypot(${dx},${dy}),${r})`;
+}
+
+// lavfi source for a single-frame grey mask with rounded corners (for alphamerge)
+export function maskSource(w, h, r) {
+  return `color=c=black:s=${w}x${h},format=gray,geq=lum='${roundedAlpha(r)}'`;
+}
+
+// lavfi source for a single-frame RGBA plate drawn behind a slot as its border
+export function borderSource(w, h, r, fill) {
+  return `color=c=${fill}:s=${w}x${h},format=rgba,geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='${roundedAlpha(r)}'`;
+}
+
+// Scale filter putting the template on the canvas. Padding is transparent, so the canvas
+// background shows through it as it does through the template's own transparent areas.
+export function templateFilter({ canvas, template }) {
+  const { width: w, height: h } = canvas;
+  if (template.fit === "stretch") return `format=rgba,scale=${w}:${h}`;
+  if (template.fit === "cover") return `format=rgba,scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h}`;
+  return `format=rgba,scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:color=black@0`;
+}
+
+// Slots bottom to top, with the template's place among them (null marks the template)
+export function stackingOrder(layout) {
+  const byZ = (a, b) => a.z - b.z || a.order - b.order;
+  const below = layout.slots.filter(s => s.layer === "below").sort(byZ);
+  const above = layout.slots.filter(s => s.layer === "above").sort(byZ);
+  return [...below, null, ...above];
+}
+
+// filter_complex chains stacking everything onto inputs.base. inputs: { base, video(slot)
+// -> input label, mask(slot) / border(slot) -> input label or null, template -> label or
+// null, info(slot) -> probe of the slot's video }. Returns { graph, label } where label
+// names the finished picture.
+export function compositeGraph(layout, inputs) {
+  const chains = [];
+  let current = inputs.base;
+  let step = 0;
+  const overlay = (label, x, y) => {
+    const out = `[l${++step}]`;
+    chains.push(`${current}${label}overlay=${x}:${y}${out}`);
+    current = out;
+  };
+
+  for (const slot of stackingOrder(layout)) {
+    if (!slot) {
+      if (inputs.template) overlay(inputs.template, 0, 0);
+      continue;
+    }
+    const k = slot.order;
+    const g = slotGeometry(slot, inputs.info(slot));
+    const radius = Math.min(slot.radius, Math.floor(Math.min(g.w, g.h) / 2));
+    const border = inputs.border(slot);
+    if (border) overlay(border, g.x - slot.border.width, g.y - slot.border.width);
+    if (radius) {
+      chains.push(`${inputs.video(slot)}${g.filter},setsar=1,format=yuva420p[v${k}]`);
+      chains.push(`[v${k}]${inputs.mask(slot)}alphamerge[s${k}]`);
+    } else {
+      chains.push(`${inputs.video(slot)}${g.filter},setsar=1[s${k}]`);
+    }
+    overlay(`[s${k}]`, g.x, g.y);
+  }
+  return { graph: chains.join(";"), label: current };
+}
+
+// Sizes the mask/border images for a slot need (null when not needed)
+export function slotDecorations(slot, info) {
+  const g = slotGeometry(slot, info);
+  const radius = Math.min(slot.radius, Math.floor(Math.min(g.w, g.h) / 2));
+  const b = slot.border.width;
+  return {
+    mask: radius ? maskSource(g.w, g.h, radius) : null,
+    border: b ? borderSource(g.w + 2 * b, g.h + 2 * b, radius ? radius + b : 0, slot.border.color) : null
+  };
+}
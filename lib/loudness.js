@@ -0,0 +1,97 @@
+// loudness.js — EBU R128 loudness normalization (ffmpeg loudnorm, two passes) and
+// silence trimming at the edges of a track, shared by the audio routes.
+import { HttpError } from "./errors.js";
+
+// Where normalization applies on routes that join tracks; single-track routes treat
+// any of these as "normalize the output"
+export const NORMALIZE_MODES = ["segments", "mix", "both"];
+
+// Streaming-platform defaults (-16 LUFS integrated, -1.5 dBTP, 11 LU range)
+const DEFAULT_TARGET = { i: -16, tp: -1.5, lra: 11 };
+
+function numberIn(value, name, min, max) {
+  const n = Number(value);
+  if (value === "" || !Number.isFinite(n) || n < min || n > max) {
+    throw new HttpError(400, `'${name}' must be a number between ${min} and ${max}`);
+  }
+  return n;
+}
+
+// normalize (segments | mix | both, or 1/true for mix), lufs, truePeak, lra,
+// trimSilence and silenceThreshold (dBFS) -> { segments, mix, target, trim }
+export function masteringOptions(params) {
+  let mode = params.normalize;
+  if (mode === "1" || mode === "true") mode = "mix";
+  if (mode !== undefined && mode !== "0" && mode !== "false" && !NORMALIZE_MODES.includes(mode)) {
+    throw new HttpError(400, `Invalid normalize. Must be one of: ${NORMALIZE_MODES.join(", ")}`);
+  }
+  const normalizing = NORMALIZE_MODES.includes(mode);
+  const target = {
+    i: params.lufs === undefined ? DEFAULT_TARGET.i : numberIn(params.lufs, "lufs", -70, -5),
+    tp: params.truePeak === undefined ? DEFAULT_TARGET.tp : numberIn(params.truePeak, "truePeak", -9, 0),
+    lra: params.lra === undefined ? DEFAULT_TARGET.lra : numberIn(params.lra, "lra", 1, 50)
+  };
+
+  const trimming = params.trimSilence === "1" || params.trimSilence === "true";
+  const threshold = params.silenceThreshold === undefined ? -50 : numberIn(params.silenceThreshold, "silenceThreshold", -90, -10);
+
+  return {
+    segments: normalizing && mode !== "mix",
+    mix: normalizing && mode !== "segments",
+    target,
+    trim: trimming ? { threshold } : null
+  };
+}
+
+// Drop leading and trailing silence quieter than the threshold. The track is reversed to
+// reach its end, so it is held in memory; fine for voiceover-length segments.
+export function silenceTrimFilter({ threshold }) {
+  const edge = `silenceremove=start_periods=1:start_threshold=${threshold}dB`;
+  return `${edge},areverse,${edge},areverse`;
+}
+
+// First pass measures; the second pass is given those measurements and applies a linear gain
+// where the target allows it. loudnorm upsamples internally, so callers resample after it.
+export function loudnormFilter(target, measured) {
+  const base = `loudnorm=I=${target.i}:TP=${target.tp}:LRA=${target.lra}`;
+  if (!measured) return `${base}:print_format=json`;
+  return `${base}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+    `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+    `:offset=${measured.target_offset}:linear=true:print_format=json`;
+}
+
+// The JSON block loudnorm prints to stderr (the last one, if several ran)
+export function parseLoudnorm(stderr) {
+  const blocks = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) throw new HttpError(500, "Loudness measurement failed: no loudnorm statistics in ffmpeg output");
+  return JSON.parse(blocks[blocks.length - 1]);
+}
+
+const level = n => (Number.isFinite(Number(n)) ? Number(n) : null);
+
+function report(stats) {
+  return {
+    before: { integrated: level(stats.input_i), truePeak: level(stats.input_tp), lra: level(stats.input_lra) },
+    after: { integrated: level(stats.output_i), truePeak: level(stats.output_tp), lra: level(stats.output_lra) },
+    mode: stats.normalization_type || null
+  };
+}
+
+// Run both passes. render(chain, measuring) runs ffmpeg with `chain` as the final audio
+// filters, to the null muxer when measuring, and resolves to sh()'s { stderr }.
+// Silent input can't be normalized; it is rendered untouched and reported as such.
+export async function twoPassLoudnorm(render, target, sampleRate) {
+  const first = parseLoudnorm((await render(loudnormFilter(target), true)).stderr);
+  if (level(first.input_i) === null) {
+    await render(`aresample=${sampleRate}`, false);
+    return { ...report(first), mode: "silent" };
+  }
+  const second = parseLoudnorm((await render(`${loudnormFilter(target, first)},aresample=${sampleRate}`, false)).stderr);
+  return report(second);
+}
+
+// X-Loudness: measured output of the final file, e.g. "I=-16.0 LUFS; TP=-1.6 dBTP; LRA=5.2 LU"
+export function loudnessHeader({ after }) {
+  const fmt = n => (n === null ? "-inf" : n.toFixed(1));
+  return { "X-Loudness": `I=${fmt(after.integrated)} LUFS; TP=${fmt(after.truePeak)} dBTP; LRA=${fmt(after.lra)} LU` };
+}
@@ -0,0 +1,49 @@
+// pool.js — caps how many ffmpeg/ffprobe processes run at once
+import { HttpError } from "./errors.js";
+
+const MAX_PROCS = Number(process.env.FFMPEG_MAX_PROCS || 2);
+const MAX_QUEUE = Number(process.env.FFMPEG_MAX_QUEUE || 20);
+const RETRY_AFTER_SECONDS = Number(process.env.FFMPEG_RETRY_AFTER_SECONDS || 30);
+
+const waiting = [];
+let active = 0;
+
+function acquire() {
+  if (active < MAX_PROCS) {
+    active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+function release() {
+  const next = waiting.shift();
+  if (next) next(); // hand the slot straight to the next waiter
+  else active--;
+}
+
+// Run `fn` once a process slot is free
+export async function withSlot(fn) {
+  await acquire();
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+// The 503 every full queue answers with
+export function serverBusy() {
+  return new HttpError(503, "Server busy, try again later",
+    { error: "Server busy, try again later", retryAfter: RETRY_AFTER_SECONDS },
+    { "Retry-After": String(RETRY_AFTER_SECONDS) });
+}
+
+// Admission control: refuse new work while the wait queue is full
+export function admit() {
+  if (waiting.length >= MAX_QUEUE) throw serverBusy();
+}
+
+export function poolStats() {
+  return { active, queued: waiting.length, maxActive: MAX_PROCS, maxQueue: MAX_QUEUE };
+}
@@ -0,0 +1,108 @@
+// probe.js — ffprobe media inspection, normalized for routes and POST /probe
+import { sh } from "./sh.js";
+import { HttpError } from "./errors.js";
+
+function num(v) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "30000/1001" -> 29.97; "0/0" -> null
+function rate(v) {
+  const [a, b] = String(v || "").split("/").map(Number);
+  if (!a || !b) return null;
+  return Math.round((a / b) * 1000) / 1000;
+}
+
+function rotation(stream) {
+  const matrix = (stream.side_data_list || []).find(d => d.rotation !== undefined);
+  if (matrix) return num(matrix.rotation);
+  return num(stream.tags?.rotate);
+}
+
+function normalizeStream(s) {
+  const base = {
+    index: s.index,
+    type: s.codec_type,
+    codec: s.codec_name || null,
+    profile: s.profile || null,
+    duration: num(s.duration),
+    bitrate: num(s.bit_rate)
+  };
+  if (s.codec_type === "video") {
+    return {
+      ...base,
+      width: s.width ?? null,
+      height: s.height ?? null,
+      fps: rate(s.avg_frame_rate) ?? rate(s.r_frame_rate),
+      rotation: rotation(s),
+      pixelFormat: s.pix_fmt || null,
+      // Cover art / thumbnails show up as single-frame video streams
+      attachedPic: Boolean(s.disposition?.attached_pic)
+    };
+  }
+  if (s.codec_type === "audio") {
+    return {
+      ...base,
+      sampleRate: num(s.sample_rate),
+      channels: s.channels ?? null,
+      channelLayout: s.channel_layout || null
+    };
+  }
+  return base;
+}
+
+// Full normalized description of a media file; 415 when ffprobe can't read it
+export async function probe(file) {
+  let info;
+  try {
+    const { stdout } = await sh("ffprobe", [
+      "-v", "error",
+      "-print_format", "json",
+      "-show_format",
+      "-show_streams",
+      file
+    ]);
+    info = JSON.parse(stdout);
+  } catch (e) {
+    if (e.code === "ENOENT") throw e;
+    throw new HttpError(415, "Unsupported media: file could not be read", {
+      error: "Unsupported media: file could not be read",
+      details: String(e.message || e).trim().split("\n").pop().replace(file, "input")
+    });
+  }
+
+  const format = info.format || {};
+  const streams = (info.streams || []).map(normalizeStream);
+  const video = streams.find(s => s.type === "video" && !s.attachedPic) || null;
+  const audio = streams.find(s => s.type === "audio") || null;
+  return {
+    container: format.format_name || null,
+    containerName: format.format_long_name || null,
+    duration: num(format.duration) ?? video?.duration ?? audio?.duration ?? null,
+    size: num(format.size),
+    bitrate: num(format.bit_rate),
+    streams,
+    video,
+    audio
+  };
+}
+
+// Probe an uploaded input and insist on the stream kinds a route needs:
+// "video" (also images), "audio", or "media" for either. Throws 415 otherwise.
+export async function probeInput(file, need = "media", label = "input") {
+  const info = await probe(file);
+  const missing =
+    (need === "video" && !info.video) ||
+    (need === "audio" && !info.audio) ||
+    (need === "media" && !info.video && !info.audio);
+  if (missing) {
+    const what = need === "media" ? "audio or video" : need;
+    throw new HttpError(415, `Unsupported media: ${label} has no ${what} stream`, {
+      error: `Unsupported media: ${label} has no ${what} stream`,
+      container: info.container,
+      streams: info.streams.map(s => s.type)
+    });
+  }
+  return info;
+}
@@ -0,0 +1,60 @@
+// progress.js — turns ffmpeg `-progress pipe:1` output into percent/fps/speed/ETA
+
+export const PROGRESS_ARGS = ["-progress", "pipe:1", "-nostats"];
+
+// "Duration:" comes with the input header, so only this much stderr is searched for it
+const HEADER_BYTES = 64 * 1024;
+
+function seconds(h, m, s) {
+  return Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+// `duration` is the expected output length in seconds (usually from ffprobe).
+// Without it we fall back to the first "Duration:" ffmpeg prints for its input.
+export function createProgressParser(duration, onProgress) {
+  let total = duration > 0 ? duration : 0;
+  let pending = "";
+  let block = {};
+  let tail = "", scanned = 0;
+
+  function emit(ended) {
+    const outTime = Number(block.out_time_us ?? block.out_time_ms ?? 0) / 1e6;
+    const speed = parseFloat(block.speed) || null;
+    const percent = ended ? 100 : total ? Math.min(99.9, (outTime / total) * 100) : null;
+    const eta = ended ? 0 : total && speed ? Math.max(0, (total - outTime) / speed) : null;
+    onProgress({
+      percent: percent === null ? null : Math.round(percent * 10) / 10,
+      outTime: Math.round(outTime * 100) / 100,
+      fps: parseFloat(block.fps) || null,
+      speed,
+      eta: eta === null ? null : Math.round(eta * 10) / 10
+    });
+  }
+
+  return {
+    stdout(chunk) {
+      pending += chunk;
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      for (const line of lines) {
+        const i = line.indexOf("=");
+        if (i < 0) continue;
+        const key = line.slice(0, i).trim(), value = line.slice(i + 1).trim();
+        block[key] = value;
+        if (key === "progress") {
+          emit(value === "end");
+          block = {};
+        }
+      }
+    },
+    // Called with each new chunk; a short tail catches a line split across chunks
+    stderr(chunk) {
+      if (total || scanned > HEADER_BYTES) return;
+      scanned += chunk.length;
+      const text = tail + chunk;
+      const m = text.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?),/);
+      if (m) total = seconds(m[1], m[2], m[3]);
+      else tail = text.slice(-64);
+    }
+  };
+}
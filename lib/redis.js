@@ -0,0 +1,118 @@
+// redis.js — minimal Redis client (RESP2 over one connection) for the audio session store.
+// Speaks to anything Redis-compatible (Redis, Valkey, KeyDB, managed services).
+// REDIS_URL looks like redis://[:password@]host[:port][/db], or rediss:// for TLS.
+import net from "net";
+import tls from "tls";
+
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+  for (const arg of args) {
+    const data = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${data.length}\r\n`), data, Buffer.from("\r\n"));
+  }
+  return Buffer.concat(parts);
+}
+
+// One reply starting at `pos` -> { value, pos } or null when more data is needed.
+// Bulk strings stay Buffers so binary values survive.
+function parseReply(buf, pos) {
+  const eol = buf.indexOf("\r\n", pos);
+  if (eol === -1) return null;
+  const type = String.fromCharCode(buf[pos]);
+  const line = buf.toString("utf8", pos + 1, eol);
+  const next = eol + 2;
+  switch (type) {
+    case "+":
+      return { value: line, pos: next };
+    case "-":
+      return { value: new Error(`Redis: ${line}`), pos: next };
+    case ":":
+      return { value: Number(line), pos: next };
+    case "$": {
+      const len = Number(line);
+      if (len === -1) return { value: null, pos: next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.subarray(next, next + len), pos: next + len + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, pos: next };
+      const items = [];
+      let p = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, p);
+        if (!item) return null;
+        items.push(item.value);
+        p = item.pos;
+      }
+      return { value: items, pos: p };
+    }
+    default:
+      throw new Error(`Redis: unexpected reply type '${type}'`);
+  }
+}
+
+export function createRedisClient(url) {
+  const target = new URL(url);
+  const secure = target.protocol === "rediss:";
+  const password = target.password ? decodeURIComponent(target.password) : null;
+  const username = target.username ? decodeURIComponent(target.username) : null;
+  const db = Number(target.pathname.slice(1) || 0);
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  // Replies arrive in command order; each entry settles one command
+  const pending = [];
+
+  function fail(err) {
+    socket?.destroy();
+    socket = null;
+    buffer = Buffer.alloc(0);
+    while (pending.length) pending.shift().reject(err);
+  }
+
+  function connect() {
+    const options = { host: target.hostname, port: Number(target.port || 6379) };
+    const s = secure ? tls.connect({ ...options, servername: target.hostname }) : net.connect(options);
+    socket = s;
+    s.setNoDelay(true);
+    // Events from a socket that has since been replaced must not touch the shared state
+    s.on("data", chunk => {
+      if (socket !== s) return;
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      let pos = 0;
+      for (let reply; pending.length && (reply = parseReply(buffer, pos)); pos = reply.pos) {
+        const { resolve, reject } = pending.shift();
+        reply.value instanceof Error ? reject(reply.value) : resolve(reply.value);
+      }
+      buffer = buffer.subarray(pos);
+    });
+    s.on("error", err => {
+      if (socket === s) fail(err);
+    });
+    s.on("close", () => {
+      if (socket === s) fail(new Error("Redis connection closed"));
+    });
+
+    // Queued ahead of whatever triggered the connect, so they run first
+    const setup = [];
+    if (password) setup.push(username ? ["AUTH", username, password] : ["AUTH", password]);
+    if (db) setup.push(["SELECT", db]);
+    for (const args of setup) send(args).catch(() => {});
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  return {
+    // command("HSET", key, field, value) -> reply (Buffers for bulk strings)
+    command(...args) {
+      if (!socket) connect();
+      return send(args);
+    }
+  };
+}
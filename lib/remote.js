@@ -0,0 +1,204 @@
+// remote.js — download `source` URLs into temp files for processing routes.
+// Every connection (redirects included) goes through a DNS lookup that refuses
+// private, loopback, link-local and other non-public addresses, and the address that
+// was checked is the one connected to, so DNS rebinding can't slip past.
+import axios from "axios";
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import { promises as fs, createWriteStream } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { HttpError } from "./errors.js";
+import { UploadedFile } from "./uploads.js";
+
+const SOURCE_MAX_BYTES = Number(process.env.SOURCE_MAX_MB || 500) * 1024 * 1024;
+const SOURCE_TIMEOUT_MS = Number(process.env.SOURCE_TIMEOUT_SECONDS || 120) * 1000;
+// Hostnames exempt from the private-address check (internal CDNs, local stand-ins)
+const SOURCE_ALLOW_HOSTS = new Set(
+  (process.env.SOURCE_ALLOW_HOSTS || "").split(",").map(h => h.trim().toLowerCase()).filter(Boolean)
+);
+
+const ACCEPTED_TYPES = /^(video|audio|image)\/|^application\/(octet-stream|mp4|ogg|x-mpegurl|vnd\.apple\.mpegurl)$|^binary\/octet-stream$/;
+
+// [network, prefix length] pairs of IPv4 space that isn't the public internet
+const BLOCKED_V4 = [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24],
+  ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24],
+  ["224.0.0.0", 4], ["240.0.0.0", 4]
+];
+
+function v4ToInt(ip) {
+  return ip.split(".").reduce((n, part) => n * 256 + Number(part), 0);
+}
+
+function blockedV4(ip) {
+  const n = v4ToInt(ip);
+  return BLOCKED_V4.some(([net4, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(n / size) === Math.floor(v4ToInt(net4) / size);
+  });
+}
+
+// "fe80::1" -> eight 16-bit groups
+function v6Groups(ip) {
+  let text = ip.split("%")[0];
+  const v4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const n = v4ToInt(v4[1]);
+    text = text.slice(0, -v4[1].length) + `${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`;
+  }
+  const [head, tail] = text.split("::");
+  const h = head ? head.split(":") : [];
+  const t = tail !== undefined && tail ? tail.split(":") : [];
+  const fill = tail !== undefined ? Array(8 - h.length - t.length).fill("0") : [];
+  return [...h, ...fill, ...t].map(g => parseInt(g, 16));
+}
+
+function blockedV6(ip) {
+  const g = v6Groups(ip);
+  if (g.every(x => x === 0)) return true; // ::
+  if (g.slice(0, 7).every(x => x === 0) && g[7] === 1) return true; // ::1
+  // IPv4-mapped (::ffff:0:0/96) and NAT64 (64:ff9b::/96) carry an IPv4 address
+  const embedded = `${g[6] >> 8}.${g[6] & 255}.${g[7] >> 8}.${g[7] & 255}`;
+  if (g.slice(0, 5).every(x => x === 0) && g[5] === 0xffff) return blockedV4(embedded);
+  if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0)) return blockedV4(embedded);
+  return (
+    (g[0] & 0xfe00) === 0xfc00 || // unique local
+    (g[0] & 0xffc0) === 0xfe80 || // link-local
+    (g[0] & 0xff00) === 0xff00 || // multicast
+    (g[0] === 0x2001 && g[1] === 0x0db8) // documentation
+  );
+}
+
+export function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return blockedV4(ip);
+  if (family === 6) return blockedV6(ip);
+  return true;
+}
+
+function blockedError(hostname) {
+  const e = new Error(`${hostname} is not a public address`);
+  e.code = "ESOURCEBLOCKED";
+  return e;
+}
+
+// Sockets skip the lookup for IP literals, so those are checked up front (and on redirects)
+function checkLiteralHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !SOURCE_ALLOW_HOSTS.has(host.toLowerCase()) && isPrivateAddress(host)) {
+    throw blockedError(hostname);
+  }
+}
+
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!SOURCE_ALLOW_HOSTS.has(hostname.toLowerCase()) && addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(blockedError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+// axios options that keep a request on public addresses
+export const publicAgents = { httpAgent, httpsAgent, proxy: false };
+
+export function isBlockedError(e) {
+  for (let c = e; c; c = c.cause) if (c.code === "ESOURCEBLOCKED") return true;
+  return false;
+}
+
+// Absolute http(s) URL without credentials whose host isn't a private IP literal; 400 otherwise
+export function parsePublicUrl(text, label) {
+  let url;
+  try {
+    url = new URL(String(text));
+  } catch {
+    throw new HttpError(400, `'${label}' must be an absolute http(s) URL`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new HttpError(400, `'${label}' must be an absolute http(s) URL`);
+  }
+  if (url.username || url.password) throw new HttpError(400, `'${label}' must not carry credentials`);
+  try {
+    checkLiteralHost(url.hostname);
+  } catch {
+    throw new HttpError(400, `'${label}' points at a non-public address`);
+  }
+  return url;
+}
+
+function fetchError(e, label) {
+  if (e instanceof HttpError) return e;
+  // axios and follow-redirects each wrap the lookup/redirect error in `cause`
+  if (isBlockedError(e)) return new HttpError(400, `'${label}' points at a non-public address`);
+  if (e.response) {
+    return new HttpError(422, `Could not fetch ${label}: HTTP ${e.response.status}`);
+  }
+  if (axios.isCancel(e) || e.name === "AbortError" || e.code === "ECONNABORTED" || e.code === "ERR_CANCELED") {
+    return new HttpError(422, `Could not fetch ${label}: timed out after ${SOURCE_TIMEOUT_MS / 1000}s`);
+  }
+  return new HttpError(422, `Could not fetch ${label}: ${e.code || e.message}`);
+}
+
+// Download a URL into its own temp dir. Resolves to { file: UploadedFile, dir };
+// the caller removes `dir` once the request is done with it.
+export async function fetchSource(text, label = "source") {
+  const url = parsePublicUrl(text, label);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SOURCE_TIMEOUT_MS);
+  const dir = await fs.mkdtemp(join(tmpdir(), "cropapi-src-"));
+  const file = join(dir, "source.bin");
+
+  try {
+    const res = await axios.get(url.toString(), {
+      responseType: "stream",
+      signal: controller.signal,
+      ...publicAgents,
+      maxRedirects: 5,
+      beforeRedirect: options => checkLiteralHost(options.hostname),
+      decompress: false,
+      headers: { "User-Agent": "ffmpeg-crop-api" }
+    });
+
+    const type = String(res.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (type && !ACCEPTED_TYPES.test(type)) {
+      res.data.destroy();
+      throw new HttpError(415, `Unsupported media: ${label} is ${type}`);
+    }
+    const declared = Number(res.headers["content-length"]);
+    const tooLarge = () => new HttpError(413, `${label} is larger than ${Math.round(SOURCE_MAX_BYTES / 1024 / 1024)}MB`);
+    if (declared > SOURCE_MAX_BYTES) {
+      res.data.destroy();
+      throw tooLarge();
+    }
+
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, _, done) {
+        size += chunk.length;
+        done(size > SOURCE_MAX_BYTES ? tooLarge() : null, chunk);
+      }
+    });
+    await pipeline(res.data, counter, createWriteStream(file));
+    if (!size) throw new HttpError(422, `Could not fetch ${label}: empty response`);
+
+    console.log(`[remote] fetched ${url.host}${url.pathname} (${size} bytes)`);
+    return { file: new UploadedFile(file, size), dir };
+  } catch (e) {
+    await fs.rm(dir, { recursive: true, force: true });
+    throw fetchError(e, label);
+  } finally {
+    clearTimeout(timer);
+  }
+}
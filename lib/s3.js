@@ -0,0 +1,110 @@
+// s3.js — minimal S3-compatible client (SigV4, path-style URLs) for the media store.
+// Path-style addressing works with AWS as well as MinIO and other local stand-ins.
+import { createHash, createHmac } from "crypto";
+import { Readable } from "stream";
+
+function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding, as SigV4 canonical requests expect
+function encode(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function unescapeXml(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+export function createS3Client({ endpoint, region = "us-east-1", bucket, accessKeyId, secretAccessKey }) {
+  const base = new URL(endpoint);
+  const basePath = base.pathname.replace(/\/$/, "");
+
+  async function request(method, key, { query = {}, body, headers = {} } = {}) {
+    const path = `${basePath}/${encode(bucket)}${key ? "/" + key.split("/").map(encode).join("/") : ""}`;
+    const qs = Object.keys(query).sort().map(k => `${encode(k)}=${encode(query[k])}`).join("&");
+    const amzDate = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    const day = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || "");
+
+    const signed = { host: base.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate };
+    const names = Object.keys(signed).sort();
+    const canonical = [
+      method,
+      path,
+      qs,
+      names.map(n => `${n}:${signed[n]}\n`).join(""),
+      names.join(";"),
+      payloadHash
+    ].join("\n");
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonical)].join("\n");
+    const signingKey = hmac(hmac(hmac(hmac("AWS4" + secretAccessKey, day), region), "s3"), "aws4_request");
+    const signature = createHmac("sha256", signingKey).update(toSign).digest("hex");
+
+    return fetch(`${base.origin}${path}${qs ? "?" + qs : ""}`, {
+      method,
+      body,
+      headers: {
+        ...headers,
+        "x-amz-content-sha256": payloadHash,
+        "x-amz-date": amzDate,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`
+      }
+    });
+  }
+
+  async function check(res, what) {
+    if (res.ok) return res;
+    const text = await res.text().catch(() => "");
+    throw new Error(`S3 ${what} failed: ${res.status} ${text.slice(0, 200)}`);
+  }
+
+  return {
+    async put(key, body, contentType = "application/octet-stream") {
+      await check(await request("PUT", key, { body, headers: { "content-type": contentType } }), `PUT ${key}`);
+    },
+
+    // Readable for the object (or the inclusive byte range), null when it doesn't exist
+    async open(key, range) {
+      const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+      const res = await request("GET", key, { headers });
+      if (res.status === 404) return null;
+      await check(res, `GET ${key}`);
+      return Readable.fromWeb(res.body);
+    },
+
+    async read(key) {
+      const res = await request("GET", key);
+      if (res.status === 404) return null;
+      await check(res, `GET ${key}`);
+      return Buffer.from(await res.arrayBuffer());
+    },
+
+    async remove(key) {
+      await check(await request("DELETE", key), `DELETE ${key}`);
+    },
+
+    async list(prefix = "") {
+      const keys = [];
+      let token;
+      do {
+        const query = { "list-type": "2", prefix, ...(token ? { "continuation-token": token } : {}) };
+        const xml = await (await check(await request("GET", "", { query }), "LIST")).text();
+        for (const m of xml.matchAll(/<Key>([\s\S]*?)<\/Key>/g)) keys.push(unescapeXml(m[1]));
+        const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+        token = truncated ? unescapeXml(xml.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/)?.[1] || "") : null;
+      } while (token);
+      return keys;
+    }
+  };
+}
@@ -0,0 +1,153 @@
+// sequence.js — audio sequencing for /combine-audio*: N tracks in order with a gap (or a
+// crossfade) at each junction, an optional target length, and where each track lands.
+// Tracks are decoded and resampled to one format before joining, so any mix of inputs
+// ffmpeg can read (MP3, WAV, M4A, Opus, ...) works.
+import { HttpError } from "./errors.js";
+
+// bitrate: null means the codec has no bitrate setting; `vbr` is used when none is asked for
+const AUDIO_FORMATS = {
+  mp3: { ext: ".mp3", type: "audio/mpeg", codec: ["-c:a", "libmp3lame"], vbr: ["-q:a", "2"], bitrate: true },
+  m4a: { ext: ".m4a", type: "audio/mp4", codec: ["-c:a", "aac", "-movflags", "+faststart"], vbr: ["-b:a", "192k"], bitrate: true },
+  wav: { ext: ".wav", type: "audio/wav", codec: ["-c:a", "pcm_s16le"], vbr: [], bitrate: false },
+  opus: { ext: ".opus", type: "audio/ogg", codec: ["-c:a", "libopus", "-f", "ogg"], vbr: ["-b:a", "128k"], bitrate: true, rates: [48000, 24000, 16000, 12000, 8000] }
+};
+const FORMAT_ALIASES = { aac: "m4a" };
+const SAMPLE_RATES = [8000, 12000, 16000, 22050, 24000, 32000, 44100, 48000];
+
+// exact: pad or trim to the target; pad: only ever lengthen; trim: only ever shorten
+export const FITS = ["exact", "pad", "trim"];
+
+const MAX_SECONDS = 3600;
+
+function seconds(value, name, max = MAX_SECONDS) {
+  const n = Number(value);
+  if (value === "" || value === null || !Number.isFinite(n) || n < 0 || n > max) {
+    throw new HttpError(400, `'${name}' must be a number of seconds between 0 and ${max}`);
+  }
+  return n;
+}
+
+const listOf = value => (Array.isArray(value) ? value : String(value).split(","));
+
+// "1" | "1,2,0.5" | [1, 2, 0.5] -> one gap per junction (a single value applies to all)
+function parseGaps(value, junctions) {
+  const list = listOf(value);
+  const gaps = list.map((g, i) => seconds(typeof g === "string" ? g.trim() : g, list.length > 1 ? `gap[${i}]` : "gap"));
+  if (gaps.length === 1) return Array(junctions).fill(gaps[0]);
+  if (gaps.length !== junctions) {
+    throw new HttpError(400, `'gap' needs one value, or one per junction (${junctions} for ${junctions + 1} tracks)`);
+  }
+  return gaps;
+}
+
+// Options from the query (or form/JSON fields): gap, crossfade, duration (target length
+// in seconds, 0 for none) and fit. `defaults` carries the route's historical values.
+export function sequenceOptions(params, count, defaults = {}) {
+  const crossfade = params.crossfade === undefined ? 0 : seconds(params.crossfade, "crossfade", 30);
+  if (crossfade && params.gap !== undefined && listOf(params.gap).some(g => Number(g) !== 0)) {
+    throw new HttpError(400, "Use either 'gap' or 'crossfade' between tracks, not both");
+  }
+  const gaps = crossfade ? Array(count - 1).fill(0) : parseGaps(params.gap ?? defaults.gap ?? 0, count - 1);
+
+  const target = params.duration ?? defaults.duration;
+  const duration = target === undefined || target === "none" ? 0 : seconds(target, "duration", 4 * MAX_SECONDS);
+  const fit = params.fit ?? defaults.fit ?? "exact";
+  if (!FITS.includes(fit)) throw new HttpError(400, `Invalid fit. Must be one of: ${FITS.join(", ")}`);
+
+  return { gaps, crossfade, duration, fit };
+}
+
+// format (mp3 | m4a/aac | wav | opus), bitrate ("192k"), sampleRate and channels (1 or 2)
+// -> { format, ext, type, sampleRate, layout, args }
+export function audioOutput(params, defaults = {}) {
+  const format = FORMAT_ALIASES[params.format] || params.format || defaults.format || "mp3";
+  const spec = AUDIO_FORMATS[format];
+  if (!spec) throw new HttpError(400, `Invalid format. Must be one of: ${[...Object.keys(AUDIO_FORMATS), "aac"].join(", ")}`);
+
+  let quality = spec.vbr;
+  if (params.bitrate !== undefined) {
+    if (!spec.bitrate) throw new HttpError(400, `'bitrate' does not apply to ${format} output`);
+    const kbps = /^(\d+)k$/i.exec(params.bitrate)?.[1];
+    if (!kbps || kbps < 8 || kbps > 512) throw new HttpError(400, "'bitrate' must look like 192k (8k to 512k)");
+    quality = ["-b:a", `${Number(kbps)}k`];
+  }
+
+  const sampleRate = Number(params.sampleRate ?? (spec.rates ? spec.rates[0] : 44100));
+  if (!(spec.rates || SAMPLE_RATES).includes(sampleRate)) {
+    throw new HttpError(400, `Invalid sampleRate for ${format}. Must be one of: ${(spec.rates || SAMPLE_RATES).join(", ")}`);
+  }
+  const channels = Number(params.channels ?? 2);
+  if (channels !== 1 && channels !== 2) throw new HttpError(400, "'channels' must be 1 or 2");
+
+  return {
+    format,
+    ext: spec.ext,
+    type: spec.type,
+    sampleRate,
+    layout: channels === 1 ? "mono" : "stereo",
+    args: [...spec.codec, ...quality, "-ar", String(sampleRate), "-ac", String(channels)]
+  };
+}
+
+const ms = n => Math.round(n * 1000) / 1000;
+
+// Track durations -> where each one starts and ends in the mix, and the mix length
+export function sequenceTimeline(durations, { gaps, crossfade, duration, fit }) {
+  const segments = [];
+  durations.forEach((d, i) => {
+    const start = i ? segments[i - 1].end + (crossfade ? -crossfade : gaps[i - 1]) : 0;
+    segments.push({ index: i, start, end: start + d });
+  });
+  const natural = segments[segments.length - 1].end;
+  let total = natural;
+  if (duration && fit !== "trim") total = Math.max(total, duration);
+  if (duration && fit !== "pad") total = Math.min(total, duration);
+
+  return {
+    duration: ms(total),
+    segments: segments.map(s => ({
+      index: s.index,
+      start: ms(Math.min(s.start, total)),
+      end: ms(Math.min(s.end, total)),
+      ...(s.end > total ? { trimmed: true } : {})
+    })),
+    padding: ms(Math.max(0, total - natural))
+  };
+}
+
+// filter_complex for inputs 0..n-1 (in order), labelled [out]. Each track is converted to
+// the output's sample rate and layout (see audioOutput) before anything is joined;
+// `master` (e.g. loudnorm) runs on the joined mix before it is padded or cut.
+export function sequenceFilter(durations, opts, { sampleRate, layout }, master = null) {
+  const { crossfade, gaps } = opts;
+  const n = durations.length;
+  if (crossfade) {
+    const short = durations.findIndex(d => d <= crossfade);
+    if (short !== -1) throw new HttpError(400, `Track ${short + 1} is shorter than the crossfade`);
+  }
+
+  const timeline = sequenceTimeline(durations, opts);
+  const chains = durations.map((_, i) => {
+    const pad = !crossfade && i < n - 1 && gaps[i] ? `,apad=pad_dur=${gaps[i]}` : "";
+    return `[${i}:a]aresample=${sampleRate},aformat=sample_fmts=fltp:channel_layouts=${layout}${pad}[s${i}]`;
+  });
+
+  let joined;
+  if (n === 1) {
+    joined = "[s0]";
+  } else if (crossfade) {
+    for (let i = 1; i < n; i++) {
+      const out = i === n - 1 ? "[joined]" : `[x${i}]`;
+      chains.push(`${i === 1 ? "[s0]" : `[x${i - 1}]`}[s${i}]acrossfade=d=${crossfade}:c1=tri:c2=tri${out}`);
+    }
+    joined = "[joined]";
+  } else {
+    chains.push(`${durations.map((_, i) => `[s${i}]`).join("")}concat=n=${n}:v=0:a=1[joined]`);
+    joined = "[joined]";
+  }
+
+  // Pad with silence or cut to the planned length
+  const end = timeline.padding ? `apad=whole_dur=${timeline.duration}` : `atrim=end=${timeline.duration}`;
+  chains.push(`${joined}${master ? `${master},` : ""}${end}[out]`);
+  return { filter: chains.join(";"), ...timeline };
+}
@@ -0,0 +1,113 @@
+// serve.js — HTTP delivery of stored objects: byte ranges, strong ETags, conditional requests
+import { openObject } from "./storage.js";
+
+const EXTENSIONS = {
+  "video/mp4": ".mp4",
+  "video/webm": ".webm",
+  "video/quicktime": ".mov",
+  "video/x-matroska": ".mkv",
+  "audio/mpeg": ".mp3",
+  "audio/mp4": ".m4a",
+  "audio/wav": ".wav",
+  "audio/ogg": ".ogg",
+  "image/png": ".png",
+  "image/jpeg": ".jpg"
+};
+
+// The content checksum, so identical bytes always get the same tag
+function etagFor(meta) {
+  return `"${meta.checksum.replace(/^sha256:/, "")}"`;
+}
+
+// Last-Modified has one-second resolution; compare at that resolution too
+function lastModified(meta) {
+  return Math.floor(Date.parse(meta.createdAt) / 1000) * 1000;
+}
+
+// Weak comparison, as If-None-Match requires
+function matchesAny(header, etag) {
+  return header.split(",").some(t => {
+    t = t.trim();
+    return t === "*" || t.replace(/^W\//, "") === etag;
+  });
+}
+
+function notModified(req, meta) {
+  const inm = req.get("if-none-match");
+  if (inm) return matchesAny(inm, etagFor(meta));
+  const since = Date.parse(req.get("if-modified-since") || "");
+  return Number.isFinite(since) && lastModified(meta) <= since;
+}
+
+// If-Range must match exactly (strong ETag or the exact Last-Modified) for Range to apply
+function rangeStillValid(req, meta) {
+  const ifRange = req.get("if-range");
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) return ifRange === etagFor(meta);
+  return Date.parse(ifRange) === lastModified(meta);
+}
+
+// "bytes=0-99" | "bytes=100-" | "bytes=-100" -> inclusive { start, end }.
+// null means serve the whole thing (no header, other unit, or malformed, which
+// RFC 9110 says to ignore); "multi" and "unsatisfiable" are answered with 416.
+export function parseRange(header, size) {
+  const m = /^bytes=(.+)$/i.exec(header?.trim() || "");
+  if (!m) return null;
+  if (m[1].includes(",")) return "multi";
+  const r = /^(\d*)-(\d*)$/.exec(m[1].trim());
+  if (!r || (!r[1] && !r[2])) return null;
+
+  if (!r[1]) {
+    const suffix = Number(r[2]);
+    if (suffix === 0 || size === 0) return "unsatisfiable";
+    return { start: Math.max(0, size - suffix), end: size - 1 };
+  }
+  const start = Number(r[1]);
+  if (r[2] && Number(r[2]) < start) return null;
+  if (start >= size) return "unsatisfiable";
+  return { start, end: r[2] ? Math.min(Number(r[2]), size - 1) : size - 1 };
+}
+
+// Send a stored object (metadata from getObject) honouring Range and conditional headers.
+// download switches Content-Disposition from inline to attachment.
+export async function sendStored(req, res, meta, { download = false } = {}) {
+  const secondsLeft = Math.max(0, Math.floor((Date.parse(meta.expiresAt) - Date.now()) / 1000));
+  res.set({
+    "Accept-Ranges": "bytes",
+    ETag: etagFor(meta),
+    "Last-Modified": new Date(lastModified(meta)).toUTCString(),
+    "Cache-Control": `private, max-age=${secondsLeft}`
+  });
+
+  if (notModified(req, meta)) return res.status(304).end();
+
+  const range = rangeStillValid(req, meta) ? parseRange(req.get("range"), meta.size) : null;
+  if (range === "multi" || range === "unsatisfiable") {
+    res.set("Content-Range", `bytes */${meta.size}`);
+    return res.status(416).json({
+      error: range === "multi" ? "Multiple ranges are not supported" : "Range not satisfiable"
+    });
+  }
+
+  const filename = `video${EXTENSIONS[meta.contentType] || ""}`;
+  res.set({
+    "Content-Type": meta.contentType,
+    "Content-Disposition": `${download ? "attachment" : "inline"}; filename="${filename}"`,
+    "Content-Length": range ? range.end - range.start + 1 : meta.size
+  });
+  if (range) {
+    res.status(206).set("Content-Range", `bytes ${range.start}-${range.end}/${meta.size}`);
+  }
+  if (req.method === "HEAD") return res.end();
+
+  const stream = await openObject(meta.id, range);
+  if (!stream) {
+    res.removeHeader("Content-Length");
+    return res.status(404).json({ error: "Video not found" });
+  }
+  stream.on("error", e => {
+    console.error("Error streaming video:", e);
+    res.destroy(e);
+  });
+  stream.pipe(res);
+}
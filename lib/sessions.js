@@ -0,0 +1,246 @@
+// sessions.js — audio part sessions behind /upload-audio-part and /combine-audio-parts.
+// Parts are spooled to disk (SESSION_BACKEND=disk, the default) or kept in a
+// Redis-compatible server (SESSION_BACKEND=redis with REDIS_URL) so replicas share
+// sessions. A session expires SESSION_TTL_SECONDS after its last part arrived.
+import { promises as fs } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { HttpError } from "./errors.js";
+import { createRedisClient } from "./redis.js";
+
+const SESSION_BACKEND = process.env.SESSION_BACKEND || "disk";
+const SESSION_DIR = process.env.SESSION_DIR || join(tmpdir(), "cropapi-sessions");
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_SECONDS || 6 * 3600) * 1000;
+export const SESSION_MAX_PARTS = Number(process.env.SESSION_MAX_PARTS || 100);
+export const SESSION_PART_MAX_BYTES = Number(process.env.SESSION_PART_MAX_MB || 100) * 1024 * 1024;
+
+// Move a spooled file into place; a copy when it lives on another filesystem
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (e) {
+    if (e.code !== "EXDEV") throw e;
+    await fs.copyFile(from, to);
+    await fs.rm(from, { force: true });
+  }
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// Backends: addPart(id, part, file, info, expiresAt), read(id) -> { createdAt, expiresAt,
+// parts: { [n]: info } } | null, copyPart(id, part, dest), remove(id), sweep()
+function diskBackend(root) {
+  const dir = id => join(root, id);
+  const sessionFile = id => join(dir(id), "session.json");
+  return {
+    async addPart(id, part, file, info, expiresAt) {
+      await fs.mkdir(dir(id), { recursive: true });
+      const session = (await readJson(sessionFile(id))) || { createdAt: info.receivedAt };
+      await moveFile(file, join(dir(id), `part-${part}`));
+      await fs.writeFile(join(dir(id), `part-${part}.json`), JSON.stringify(info));
+      await fs.writeFile(sessionFile(id), JSON.stringify({ ...session, expiresAt }));
+    },
+    async read(id) {
+      const session = await readJson(sessionFile(id));
+      if (!session) return null;
+      const parts = {};
+      for (const name of await fs.readdir(dir(id))) {
+        const m = /^part-(\d+)\.json$/.exec(name);
+        if (m) parts[m[1]] = await readJson(join(dir(id), name));
+      }
+      return { ...session, parts };
+    },
+    async copyPart(id, part, dest) {
+      try {
+        await fs.link(join(dir(id), `part-${part}`), dest);
+      } catch {
+        await fs.copyFile(join(dir(id), `part-${part}`), dest);
+      }
+    },
+    async remove(id) {
+      await fs.rm(dir(id), { recursive: true, force: true });
+    },
+    // Expired sessions are already invisible to read(); this reclaims their space
+    async sweep() {
+      let ids;
+      try {
+        ids = await fs.readdir(root);
+      } catch {
+        return 0;
+      }
+      let removed = 0;
+      for (const id of ids) {
+        try {
+          const session = await readJson(sessionFile(id));
+          if (session && Date.parse(session.expiresAt) > Date.now()) continue;
+          // A directory without session.json may be a first part still being written
+          if (!session && Date.now() - (await fs.stat(dir(id))).mtimeMs < SESSION_TTL_MS) continue;
+          await fs.rm(dir(id), { recursive: true, force: true });
+          removed++;
+        } catch (e) {
+          console.error(`[sessions] sweep failed for ${id}:`, e.message || e);
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+// One hash per session (createdAt, expiresAt, part:<n> -> info) plus one key per part's
+// bytes; every key carries the session TTL, so Redis does the expiring
+function redisBackend(url) {
+  const client = createRedisClient(url);
+  const prefix = process.env.REDIS_PREFIX || "cropapi:";
+  const hashKey = id => `${prefix}audio-session:${id}`;
+  const dataKey = (id, part) => `${prefix}audio-session:${id}:${part}`;
+  const partNumbers = async id =>
+    (await client.command("HKEYS", hashKey(id))).map(String).filter(k => k.startsWith("part:")).map(k => k.slice(5));
+
+  return {
+    async addPart(id, part, file, info, expiresAt) {
+      const ttl = Math.max(1, Date.parse(expiresAt) - Date.now());
+      await client.command("SET", dataKey(id, part), await fs.readFile(file), "PX", ttl);
+      await fs.rm(file, { force: true });
+      await client.command("HSETNX", hashKey(id), "createdAt", info.receivedAt);
+      await client.command("HSET", hashKey(id), `part:${part}`, JSON.stringify(info), "expiresAt", expiresAt);
+      await client.command("PEXPIRE", hashKey(id), ttl);
+      // Earlier parts live as long as the session now does
+      for (const n of await partNumbers(id)) await client.command("PEXPIRE", dataKey(id, n), ttl);
+    },
+    async read(id) {
+      const flat = await client.command("HGETALL", hashKey(id));
+      if (!flat.length) return null;
+      const session = { parts: {} };
+      for (let i = 0; i < flat.length; i += 2) {
+        const field = String(flat[i]);
+        const value = String(flat[i + 1]);
+        if (field.startsWith("part:")) session.parts[field.slice(5)] = JSON.parse(value);
+        else session[field] = value;
+      }
+      return session;
+    },
+    async copyPart(id, part, dest) {
+      const data = await client.command("GET", dataKey(id, part));
+      if (!data) throw new HttpError(410, `Part ${part} expired before it could be read`);
+      await fs.writeFile(dest, data);
+    },
+    async remove(id) {
+      const parts = await partNumbers(id);
+      await client.command("DEL", hashKey(id), ...parts.map(n => dataKey(id, n)));
+    },
+    async sweep() {
+      return 0;
+    }
+  };
+}
+
+function createBackend() {
+  if (SESSION_BACKEND === "disk") return diskBackend(SESSION_DIR);
+  if (SESSION_BACKEND === "redis") {
+    if (!process.env.REDIS_URL) throw new Error("SESSION_BACKEND=redis needs REDIS_URL");
+    return redisBackend(process.env.REDIS_URL);
+  }
+  throw new Error(`Unknown SESSION_BACKEND '${SESSION_BACKEND}' (disk or redis)`);
+}
+
+const backend = createBackend();
+console.log(`[sessions] ${SESSION_BACKEND} backend${SESSION_BACKEND === "disk" ? ` at ${SESSION_DIR}` : ""}`);
+
+// Session ids become file names and keys
+function checkId(id) {
+  if (typeof id !== "string" || !/^[A-Za-z0-9_.-]{1,128}$/.test(id) || id.startsWith(".")) {
+    throw new HttpError(400, "'sessionId' must be 1-128 letters, digits, '.', '_' or '-'");
+  }
+}
+
+function checkPart(part) {
+  const n = Number(part);
+  if (!Number.isInteger(n) || n < 1 || n > SESSION_MAX_PARTS) {
+    throw new HttpError(400, `Part must be a whole number between 1 and ${SESSION_MAX_PARTS}`);
+  }
+  return n;
+}
+
+// Public view: parts in order with what is known about each
+function describe(id, session) {
+  const parts = Object.entries(session.parts)
+    .map(([n, info]) => ({ part: Number(n), ...info }))
+    .sort((a, b) => a.part - b.part);
+  return {
+    sessionId: id,
+    parts,
+    partsReceived: parts.length,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+async function load(id) {
+  const session = await backend.read(id);
+  return session && Date.parse(session.expiresAt) > Date.now() ? session : null;
+}
+
+// Store the spooled `file` as part `part` (replacing an earlier upload of the same part)
+export async function addPart(id, part, { file, size, filename }) {
+  checkId(id);
+  const n = checkPart(part);
+  const now = Date.now();
+  // An expired session that hasn't been swept yet starts over
+  const existing = await backend.read(id);
+  if (existing && !(Date.parse(existing.expiresAt) > now)) await backend.remove(id);
+  const info = { size, filename: filename ? String(filename).slice(0, 200) : null, receivedAt: new Date(now).toISOString() };
+  await backend.addPart(id, n, file, info, new Date(now + SESSION_TTL_MS).toISOString());
+  return describe(id, await backend.read(id));
+}
+
+// null when unknown or expired
+export async function getSession(id) {
+  checkId(id);
+  const session = await load(id);
+  return session && describe(id, session);
+}
+
+// Copy every part into `dir`; resolves to [{ part, file }] in part order. Parts must run
+// 1..N without holes, and `expected` (when given) must be N.
+export async function sessionParts(id, dir, expected) {
+  const session = await getSession(id);
+  if (!session) throw new HttpError(404, "Session not found. Please upload audio parts first.");
+  const numbers = session.parts.map(p => p.part);
+  const missing = [];
+  for (let i = 1; i <= Math.max(expected || 0, ...numbers); i++) if (!numbers.includes(i)) missing.push(i);
+  if (missing.length || (expected && numbers.length !== expected)) {
+    const error = missing.length ? `Missing audio part(s): ${missing.join(", ")}` : `Expected ${expected} audio parts, got ${numbers.length}`;
+    throw new HttpError(400, error, { error, receivedParts: numbers });
+  }
+  const files = [];
+  for (const part of numbers) {
+    const file = join(dir, `audio_${part}`);
+    await backend.copyPart(id, part, file);
+    files.push({ part, file });
+  }
+  return files;
+}
+
+// false when there was nothing to delete
+export async function deleteSession(id) {
+  checkId(id);
+  if (!(await backend.read(id))) return false;
+  await backend.remove(id);
+  return true;
+}
+
+setInterval(async () => {
+  try {
+    const removed = await backend.sweep();
+    if (removed) console.log(`[sessions] swept ${removed} expired session(s)`);
+  } catch (e) {
+    console.error("[sessions] sweep failed:", e.message || e);
+  }
+}, 60_000).unref();
@@ -0,0 +1,26 @@
+// sh.js — child process runner shared by routes and lib modules
+import { spawn } from "child_process";
+import { withSlot } from "./pool.js";
+import { PROGRESS_ARGS, createProgressParser } from "./progress.js";
+
+// Every child process goes through the pool (see pool.js).
+// Pass onProgress (and ideally the probed duration) to get live ffmpeg progress;
+// stdout is then consumed by the progress parser.
+export function sh(cmd, args, { duration, onProgress } = {}) {
+  const progress = onProgress && cmd === "ffmpeg" ? createProgressParser(duration, onProgress) : null;
+  if (progress) args = [...PROGRESS_ARGS, ...args];
+  return withSlot(() => new Promise((resolve, reject) => {
+    const p = spawn(cmd, args);
+    let stdout = "", stderr = "";
+    p.stdout.on("data", d => (progress ? progress.stdout(d.toString()) : (stdout += d.toString())));
+    p.stderr.on("data", d => {
+      const chunk = d.toString();
+      stderr += chunk;
+      progress?.stderr(chunk);
+    });
+    p.on("error", reject);
+    p.on("close", code =>
+      code === 0 ? resolve({ stdout, stderr }) : reject(new Error(stderr || `exit ${code}`))
+    );
+  }));
+}
@@ -0,0 +1,95 @@
+// signing.js — HMAC-signed, expiring links to stored media.
+// URL_SIGNING_KEYS="k2:new-secret,k1:old-secret": the first key signs, every listed key
+// verifies, so rotating means putting the new key first and dropping the old one once
+// the links it signed have expired. URL_SIGNING_SECRET is shorthand for a single key.
+// URL_SIGNING_REQUIRED=true makes unsigned links to stored media a 403.
+// ADMIN_TOKEN guards the routes that mint links for, or delete, any stored id; they expect
+// "Authorization: Bearer <token>" and answer 501 while it isn't set.
+import { createHmac, timingSafeEqual } from "crypto";
+import { HttpError } from "./errors.js";
+
+// view: inline playback only; download: served as an attachment
+export const SCOPES = ["view", "download"];
+
+export const SIGNING_REQUIRED = process.env.URL_SIGNING_REQUIRED === "true";
+const DEFAULT_EXPIRES_IN = Number(process.env.URL_SIGNING_EXPIRES_SECONDS || 3600);
+
+function parseKeys() {
+  if (process.env.URL_SIGNING_KEYS) {
+    return process.env.URL_SIGNING_KEYS.split(",").map(entry => {
+      const i = entry.indexOf(":");
+      const id = entry.slice(0, i).trim();
+      const secret = entry.slice(i + 1).trim();
+      if (i < 1 || !secret || !/^[A-Za-z0-9_-]+$/.test(id)) {
+        throw new Error("URL_SIGNING_KEYS must look like 'keyId:secret,keyId:secret'");
+      }
+      return { id, secret };
+    });
+  }
+  if (process.env.URL_SIGNING_SECRET) return [{ id: "default", secret: process.env.URL_SIGNING_SECRET }];
+  return [];
+}
+
+const keys = parseKeys();
+if (SIGNING_REQUIRED && !keys.length) throw new Error("URL_SIGNING_REQUIRED needs URL_SIGNING_KEYS or URL_SIGNING_SECRET");
+
+function signature(secret, kid, path, expires, scope) {
+  return createHmac("sha256", secret).update(`${kid}\n${path}\n${expires}\n${scope}`).digest("base64url");
+}
+
+function forbidden(message) {
+  return new HttpError(403, message);
+}
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+// Throws unless the Authorization header carries ADMIN_TOKEN
+export function checkAdmin(header) {
+  if (!ADMIN_TOKEN) throw new HttpError(501, "Admin routes are disabled (set ADMIN_TOKEN)");
+  const m = /^Bearer\s+(.+)$/i.exec(header || "");
+  const expected = createHmac("sha256", "admin").update(ADMIN_TOKEN).digest();
+  const given = createHmac("sha256", "admin").update(m ? m[1].trim() : "").digest();
+  if (!m || !timingSafeEqual(expected, given)) {
+    throw new HttpError(401, "Admin token required", null, { "WWW-Authenticate": "Bearer" });
+  }
+}
+
+// ?expiresIn= (seconds) and ?scope= for a link about to be signed; 501 without keys
+export function signOptions(query) {
+  if (!keys.length) throw new HttpError(501, "URL signing is not configured (set URL_SIGNING_KEYS)");
+  const scope = query.scope ?? "view";
+  if (!SCOPES.includes(scope)) throw new HttpError(400, `Invalid scope. Must be one of: ${SCOPES.join(", ")}`);
+  const expiresIn = query.expiresIn === undefined ? DEFAULT_EXPIRES_IN : Number(query.expiresIn);
+  if (!Number.isInteger(expiresIn) || expiresIn <= 0) {
+    throw new HttpError(400, "'expiresIn' must be a positive whole number of seconds");
+  }
+  return { expiresIn, scope };
+}
+
+// Query string granting `scope` on `path` until min(now + expiresIn, notAfter), with
+// options from signOptions(). Returns { query, expiresAt }.
+export function signPath(path, { expiresIn, scope, notAfter }) {
+  let expires = Math.floor(Date.now() / 1000) + expiresIn;
+  if (notAfter) expires = Math.min(expires, Math.floor(Date.parse(notAfter) / 1000));
+  const { id, secret } = keys[0];
+  const query = new URLSearchParams({ expires: String(expires), scope, kid: id, sig: signature(secret, id, path, expires, scope) });
+  return { query: query.toString(), expiresAt: new Date(expires * 1000).toISOString() };
+}
+
+// Check a request for `path`; returns the granted scope, or null for an unsigned
+// request where signing isn't required. Throws 403 for expired, tampered or missing links.
+export function verifyPath(path, query) {
+  if (query.sig === undefined) {
+    if (SIGNING_REQUIRED) throw forbidden("A signed link is required");
+    return null;
+  }
+  const { expires, scope, kid, sig } = query;
+  const key = keys.find(k => k.id === kid);
+  if (!key || !SCOPES.includes(scope) || !/^\d+$/.test(expires || "")) throw forbidden("Invalid signature");
+
+  const expected = Buffer.from(signature(key.secret, kid, path, expires, scope));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) throw forbidden("Invalid signature");
+  if (Number(expires) * 1000 <= Date.now()) throw forbidden("Link expired");
+  return scope;
+}
@@ -0,0 +1,165 @@
+// storage.js — stored media behind /store-video and /get-video: a local directory or an
+// S3-compatible bucket, per-object metadata, and TTL expiry with a background sweeper
+import { promises as fs, createReadStream } from "fs";
+import { createHash, randomBytes } from "crypto";
+import { tmpdir } from "os";
+import { join } from "path";
+import { HttpError } from "./errors.js";
+import { createS3Client } from "./s3.js";
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "local";
+const STORAGE_DIR = process.env.STORAGE_DIR || join(tmpdir(), "cropapi-store");
+const STORAGE_TTL = Number(process.env.STORAGE_TTL_SECONDS || 86400);
+const STORAGE_MAX_TTL = Number(process.env.STORAGE_MAX_TTL_SECONDS || 7 * 86400);
+const STORAGE_SWEEP_MS = Number(process.env.STORAGE_SWEEP_SECONDS || 300) * 1000;
+export const STORAGE_MAX_BYTES = Number(process.env.STORAGE_MAX_MB || 500) * 1024 * 1024;
+
+// Backends store opaque keys: put(key, buffer, type), open(key, range), read(key), remove(key), list()
+function localBackend(dir) {
+  const path = key => join(dir, key);
+  return {
+    async put(key, body) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path(key), body);
+    },
+    async open(key, range) {
+      try {
+        await fs.access(path(key));
+      } catch {
+        return null;
+      }
+      return createReadStream(path(key), range || {});
+    },
+    async read(key) {
+      try {
+        return await fs.readFile(path(key));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async remove(key) {
+      await fs.rm(path(key), { force: true });
+    },
+    async list() {
+      try {
+        return await fs.readdir(dir);
+      } catch (e) {
+        if (e.code === "ENOENT") return [];
+        throw e;
+      }
+    }
+  };
+}
+
+function s3Backend() {
+  const prefix = process.env.S3_PREFIX || "";
+  const client = createS3Client({
+    endpoint: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`,
+    region: process.env.S3_REGION || "us-east-1",
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  });
+  return {
+    put: (key, body, type) => client.put(prefix + key, body, type),
+    open: (key, range) => client.open(prefix + key, range),
+    read: key => client.read(prefix + key),
+    remove: key => client.remove(prefix + key),
+    list: async () => (await client.list(prefix)).map(k => k.slice(prefix.length))
+  };
+}
+
+function createBackend() {
+  if (STORAGE_BACKEND === "local") return localBackend(STORAGE_DIR);
+  if (STORAGE_BACKEND === "s3") {
+    if (!process.env.S3_BUCKET) throw new Error("STORAGE_BACKEND=s3 needs S3_BUCKET");
+    return s3Backend();
+  }
+  throw new Error(`Unknown STORAGE_BACKEND '${STORAGE_BACKEND}' (local or s3)`);
+}
+
+const backend = createBackend();
+console.log(`[storage] ${STORAGE_BACKEND} backend${STORAGE_BACKEND === "local" ? ` at ${STORAGE_DIR}` : ""}`);
+
+// Ids go into file names and object keys, so nothing else gets through
+function validId(id) {
+  return typeof id === "string" && /^[A-Za-z0-9_-]{1,100}$/.test(id);
+}
+
+const metaKey = id => `${id}.json`;
+
+// ?ttl= seconds, defaulting to STORAGE_TTL_SECONDS and capped at STORAGE_MAX_TTL_SECONDS
+export function parseTtl(value) {
+  if (value === undefined) return STORAGE_TTL;
+  const ttl = Number(value);
+  if (!Number.isInteger(ttl) || ttl <= 0 || ttl > STORAGE_MAX_TTL) {
+    throw new HttpError(400, `'ttl' must be a whole number of seconds between 1 and ${STORAGE_MAX_TTL}`);
+  }
+  return ttl;
+}
+
+// Store a buffer; resolves to its metadata
+// { id, contentType, size, checksum, createdAt, expiresAt }
+export async function putObject(body, { contentType, ttl = STORAGE_TTL }) {
+  if (body.length > STORAGE_MAX_BYTES) {
+    throw new HttpError(413, `File too large (max ${Math.round(STORAGE_MAX_BYTES / 1024 / 1024)}MB)`);
+  }
+  const now = Date.now();
+  const meta = {
+    id: `video_${now}_${randomBytes(6).toString("hex")}`,
+    contentType,
+    size: body.length,
+    checksum: `sha256:${createHash("sha256").update(body).digest("hex")}`,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttl * 1000).toISOString()
+  };
+  await backend.put(meta.id, body, contentType);
+  await backend.put(metaKey(meta.id), JSON.stringify(meta), "application/json");
+  return meta;
+}
+
+// Metadata of a live object; null when unknown or expired
+export async function getObject(id) {
+  if (!validId(id)) return null;
+  const raw = await backend.read(metaKey(id));
+  if (!raw) return null;
+  const meta = JSON.parse(raw.toString("utf8"));
+  return Date.parse(meta.expiresAt) > Date.now() ? meta : null;
+}
+
+// Readable for an object's bytes (range is inclusive { start, end })
+export function openObject(id, range) {
+  return backend.open(id, range);
+}
+
+// false when there was nothing to delete
+export async function deleteObject(id) {
+  if (!validId(id) || !(await backend.read(metaKey(id)))) return false;
+  await backend.remove(id);
+  await backend.remove(metaKey(id));
+  return true;
+}
+
+async function sweep() {
+  let removed = 0;
+  for (const key of await backend.list()) {
+    if (!key.endsWith(".json")) continue;
+    const id = key.slice(0, -".json".length);
+    try {
+      const raw = await backend.read(key);
+      if (raw && Date.parse(JSON.parse(raw.toString("utf8")).expiresAt) > Date.now()) continue;
+      await backend.remove(id);
+      await backend.remove(key);
+      removed++;
+    } catch (e) {
+      console.error(`[storage] sweep failed for ${id}:`, e.message || e);
+    }
+  }
+  if (removed) console.log(`[storage] swept ${removed} expired object(s)`);
+}
+
+// Expired objects are already invisible to getObject; this reclaims their space
+setInterval(() => {
+  sweep().catch(e => console.error("[storage] sweep failed:", e.message || e));
+}, STORAGE_SWEEP_MS).unref();
@@ -0,0 +1,150 @@
+// templates.js — the template library behind /templates: stored templates (still images
+// or animations) with optional layout defaults (see layout.js), plus a cache of each still
+// already normalized to a canvas so repeated /place-on-template renders skip that step.
+// TEMPLATE_DIR/<id>/ holds template.json, the source image and cache/<variant>.png.
+import { promises as fs } from "fs";
+import { createHash, randomBytes } from "crypto";
+import { tmpdir } from "os";
+import { join } from "path";
+import { HttpError } from "./errors.js";
+
+const TEMPLATE_DIR = process.env.TEMPLATE_DIR || join(tmpdir(), "cropapi-templates");
+export const TEMPLATE_MAX_BYTES = Number(process.env.TEMPLATE_MAX_MB || 50) * 1024 * 1024;
+
+const dirOf = id => join(TEMPLATE_DIR, id);
+const metaPath = id => join(dirOf(id), "template.json");
+const sourcePath = id => join(dirOf(id), "source");
+const cacheDir = id => join(dirOf(id), "cache");
+
+function validId(id) {
+  return typeof id === "string" && /^tpl_[0-9a-f]{16}$/.test(id);
+}
+
+async function readMeta(id) {
+  if (!validId(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(metaPath(id), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+async function load(id) {
+  const meta = await readMeta(id);
+  if (!meta) throw new HttpError(404, "Template not found");
+  return meta;
+}
+
+// Write to a temp name and rename, so readers never see half a file
+async function writeAtomic(path, data) {
+  const tmp = `${path}.${randomBytes(4).toString("hex")}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, path);
+}
+
+function checkSize(image) {
+  if (image.length > TEMPLATE_MAX_BYTES) {
+    throw new HttpError(413, `Template too large (max ${Math.round(TEMPLATE_MAX_BYTES / 1024 / 1024)}MB)`);
+  }
+}
+
+function imageInfo(image, contentType) {
+  return {
+    contentType: contentType || "application/octet-stream",
+    size: image.length,
+    checksum: `sha256:${createHash("sha256").update(image).digest("hex")}`
+  };
+}
+
+// image: Buffer; layout: the raw JSON spec (already validated by the caller) or null
+export async function createTemplate({ image, contentType, name, layout }) {
+  checkSize(image);
+  const now = new Date().toISOString();
+  const meta = {
+    id: `tpl_${randomBytes(8).toString("hex")}`,
+    name: name ? String(name).slice(0, 200) : null,
+    ...imageInfo(image, contentType),
+    layout: layout ?? null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await fs.mkdir(cacheDir(meta.id), { recursive: true });
+  await fs.writeFile(sourcePath(meta.id), image);
+  await fs.writeFile(metaPath(meta.id), JSON.stringify(meta));
+  return meta;
+}
+
+export async function getTemplate(id) {
+  return readMeta(id);
+}
+
+export async function listTemplates() {
+  let ids;
+  try {
+    ids = await fs.readdir(TEMPLATE_DIR);
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const all = [];
+  for (const id of ids) {
+    const meta = await readMeta(id);
+    if (meta) all.push(meta);
+  }
+  return all.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Replace any of image, name and layout (layout: null clears it). A new image drops the cache.
+export async function updateTemplate(id, { image, contentType, name, layout }) {
+  const meta = await load(id);
+  if (image) {
+    checkSize(image);
+    await writeAtomic(sourcePath(id), image);
+    Object.assign(meta, imageInfo(image, contentType));
+    await fs.rm(cacheDir(id), { recursive: true, force: true });
+    await fs.mkdir(cacheDir(id), { recursive: true });
+  }
+  if (name !== undefined) meta.name = name ? String(name).slice(0, 200) : null;
+  if (layout !== undefined) meta.layout = layout;
+  meta.updatedAt = new Date().toISOString();
+  await writeAtomic(metaPath(id), JSON.stringify(meta));
+  return meta;
+}
+
+// false when there was nothing to delete
+export async function deleteTemplate(id) {
+  if (!(await readMeta(id))) return false;
+  await fs.rm(dirOf(id), { recursive: true, force: true });
+  return true;
+}
+
+// Path of the stored source image
+export async function templateSource(id) {
+  await load(id);
+  return sourcePath(id);
+}
+
+// The template rendered for `variant` (e.g. "1080x1920-contain"), rendering it with
+// render(source, outPath) the first time. Keyed by checksum too, so a replaced image
+// never serves a stale render.
+export async function cachedTemplate(id, variant, render) {
+  const meta = await load(id);
+  const key = createHash("sha256").update(`${meta.checksum}\n${variant}`).digest("hex").slice(0, 32);
+  const file = join(cacheDir(id), `${key}.png`);
+  try {
+    await fs.access(file);
+    return { file, cached: true };
+  } catch {
+    // not rendered yet
+  }
+  await fs.mkdir(cacheDir(id), { recursive: true });
+  const tmp = join(cacheDir(id), `${key}.${randomBytes(4).toString("hex")}.tmp.png`);
+  try {
+    await render(sourcePath(id), tmp);
+    await fs.rename(tmp, file);
+  } finally {
+    await fs.rm(tmp, { force: true });
+  }
+  return { file, cached: false };
+}
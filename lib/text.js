@@ -0,0 +1,348 @@
+// text.js — styled caption rendering for /add-text-canvas: fonts from FONTS_DIR, a JSON
+// style (validated here), word wrapping with Twemoji images, auto-fit and drawing.
+//
+// {
+//   "font": { "family": "DejaVu Sans", "size": 44, "weight": "bold", "style": "normal" },
+//   "color": "#ffffff", "align": "left",
+//   "x": 80, "y": 300, "maxWidth": 920, "maxHeight": 600, "lineHeight": 1.27,
+//   "stroke": { "width": 4, "color": "black" },
+//   "shadow": { "color": "rgba(0,0,0,0.6)", "blur": 8, "offsetX": 0, "offsetY": 4 },
+//   "background": { "color": "rgba(0,0,0,0.5)", "padding": 24, "radius": 16 },
+//   "autoFit": { "minSize": 18 }
+// }
+//
+// x/y/maxWidth/maxHeight bound the text block; lines align inside it. lineHeight is a
+// multiple of the font size. autoFit shrinks the font (down to minSize) until the wrapped
+// text fits maxWidth and maxHeight (which defaults to the rest of the image below y).
+import { existsSync, readdirSync } from "fs";
+import { basename, extname, join } from "path";
+import { registerFont } from "canvas";
+import { HttpError } from "./errors.js";
+
+const FONTS_DIR = process.env.FONTS_DIR || join(process.cwd(), "fonts");
+const SYSTEM_FONTS = "/usr/share/fonts/truetype/dejavu";
+
+const WEIGHTS = {
+  thin: 100, hairline: 100, extralight: 200, ultralight: 200, light: 300,
+  regular: 400, normal: 400, book: 400, medium: 500, semibold: 600, demibold: 600,
+  bold: 700, extrabold: 800, ultrabold: 800, black: 900, heavy: 900
+};
+const ALIGNS = ["left", "center", "right"];
+
+// What the route always drew: 44px bold DejaVu Sans in white, 80px in, 56px lines
+const DEFAULTS = { family: "DejaVu Sans", size: 44, weight: 700, x: 80, lineHeight: 56 / 44 };
+const EMOJI_SCALE = 48 / 44;
+
+function bad(message) {
+  return new HttpError(400, message);
+}
+
+// "Inter-SemiBoldItalic" -> { weight: 600, style: "italic" }; unknown suffixes are regular
+function faceOf(name) {
+  const suffix = name.includes("-") ? name.slice(name.lastIndexOf("-") + 1).toLowerCase() : "";
+  const italic = /(italic|oblique)$/.test(suffix);
+  const weightName = suffix.replace(/(italic|oblique)$/, "");
+  const weight = WEIGHTS[weightName] ?? (/^[1-9]00$/.test(weightName) ? Number(weightName) : 400);
+  return { weight, style: italic ? "italic" : "normal" };
+}
+
+// family -> [{ weight, style }]
+const families = new Map();
+
+function register(file, family) {
+  const face = faceOf(basename(file, extname(file)));
+  registerFont(file, { family, weight: String(face.weight), style: face.style });
+  if (!families.has(family)) families.set(family, []);
+  families.get(family).push(face);
+}
+
+// DejaVu from the system (the Docker image installs it), then every .ttf/.otf in
+// FONTS_DIR: FONTS_DIR/<Family>/<Name>-<Weight>.ttf, or FONTS_DIR/<Family>-<Weight>.ttf.
+// Fonts must be registered before the first canvas is created, hence once at startup.
+function loadFonts() {
+  const isFont = name => /\.(ttf|otf)$/i.test(name);
+  for (const [file, family] of [
+    ["DejaVuSans.ttf", "DejaVu Sans"], ["DejaVuSans-Bold.ttf", "DejaVu Sans"],
+    ["DejaVuSerif.ttf", "DejaVu Serif"], ["DejaVuSerif-Bold.ttf", "DejaVu Serif"],
+    ["DejaVuSansMono.ttf", "DejaVu Sans Mono"], ["DejaVuSansMono-Bold.ttf", "DejaVu Sans Mono"]
+  ]) {
+    if (existsSync(join(SYSTEM_FONTS, file))) register(join(SYSTEM_FONTS, file), family);
+  }
+  if (!existsSync(FONTS_DIR)) return;
+  for (const entry of readdirSync(FONTS_DIR, { withFileTypes: true })) {
+    const path = join(FONTS_DIR, entry.name);
+    try {
+      if (entry.isDirectory()) {
+        for (const name of readdirSync(path).filter(isFont)) register(join(path, name), entry.name);
+      } else if (isFont(entry.name)) {
+        register(path, basename(entry.name, extname(entry.name)).split("-")[0]);
+      }
+    } catch (e) {
+      console.error(`[fonts] could not register ${path}:`, e.message || e);
+    }
+  }
+  console.log(`[fonts] ${families.size} families (${FONTS_DIR})`);
+}
+
+loadFonts();
+
+// For GET /fonts
+export function fontFamilies() {
+  return [...families].map(([family, faces]) => ({
+    family,
+    weights: [...new Set(faces.map(f => f.weight))].sort((a, b) => a - b),
+    italic: faces.some(f => f.style === "italic")
+  }));
+}
+
+function number(value, where, min, max) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+    throw bad(`${where} must be a number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// Any CSS colour canvas understands; only the characters are checked here
+function color(value, where) {
+  if (typeof value !== "string" || !/^[#a-z0-9(),.%\s]{1,64}$/i.test(value)) {
+    throw bad(`${where} must be a CSS colour such as "white", "#ff0000" or "rgba(0,0,0,0.5)"`);
+  }
+  return value.trim();
+}
+
+function object(value, where) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true) return {};
+  if (typeof value !== "object" || Array.isArray(value)) throw bad(`'${where}' must be an object`);
+  return value;
+}
+
+// JSON text or an object -> validated style for an image of width x height.
+// `top` is the legacy ?top= default for y.
+export function parseTextStyle(input, { width, height, top = 300 }) {
+  let spec = input ?? {};
+  if (typeof spec === "string") {
+    try {
+      spec = JSON.parse(spec);
+    } catch {
+      throw bad("'style' must be valid JSON");
+    }
+  }
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) throw bad("'style' must be a JSON object");
+
+  const f = object(spec.font, "font") ?? {};
+  const family = f.family === undefined ? DEFAULTS.family : String(f.family);
+  if (!families.has(family)) {
+    throw bad(`Unknown font family '${family}'. Available: ${[...families.keys()].join(", ") || "none"}`);
+  }
+  let weight = f.weight ?? DEFAULTS.weight;
+  if (typeof weight === "string") {
+    weight = WEIGHTS[weight.toLowerCase()] ?? (/^[1-9]00$/.test(weight) ? Number(weight) : weight);
+  }
+  if (![100, 200, 300, 400, 500, 600, 700, 800, 900].includes(weight)) {
+    throw bad("font.weight must be 100-900 in hundreds, or a name like \"normal\" or \"bold\"");
+  }
+  const fontStyle = f.style ?? "normal";
+  if (!["normal", "italic"].includes(fontStyle)) throw bad("font.style must be \"normal\" or \"italic\"");
+  const size = number(f.size ?? DEFAULTS.size, "font.size", 4, 1000);
+
+  // Only what the caller sets is range-checked: the defaults (x=80, ?top=) drew on any
+  // image size before styles existed, off the edge or not
+  if (!Number.isFinite(top)) throw bad("'top' must be a number");
+  const x = spec.x === undefined ? DEFAULTS.x : number(spec.x, "x", 0, width - 1);
+  const y = spec.y === undefined ? top : number(spec.y, "y", -height, height - 1);
+  const maxWidth = spec.maxWidth === undefined
+    ? Math.max(1, width - 2 * x)
+    : number(spec.maxWidth, "maxWidth", 1, spec.x === undefined ? width : width - x);
+  const maxHeight = spec.maxHeight === undefined ? null : number(spec.maxHeight, "maxHeight", 1, height * 2);
+  const align = spec.align ?? "left";
+  if (!ALIGNS.includes(align)) throw bad(`align must be one of: ${ALIGNS.join(", ")}`);
+
+  const stroke = object(spec.stroke, "stroke");
+  const shadow = object(spec.shadow, "shadow");
+  const background = object(spec.background, "background");
+  const autoFit = object(spec.autoFit, "autoFit");
+
+  return {
+    font: { family, size, weight, style: fontStyle },
+    color: color(spec.color ?? "white", "color"),
+    align,
+    x, y, maxWidth,
+    maxHeight: maxHeight ?? (autoFit ? Math.max(1, height - Math.max(0, y)) : null),
+    lineHeight: number(spec.lineHeight ?? DEFAULTS.lineHeight, "lineHeight", 0.5, 5),
+    stroke: stroke && {
+      width: number(stroke.width ?? 2, "stroke.width", 0, 100),
+      color: color(stroke.color ?? "black", "stroke.color")
+    },
+    shadow: shadow && {
+      color: color(shadow.color ?? "rgba(0,0,0,0.6)", "shadow.color"),
+      blur: number(shadow.blur ?? 8, "shadow.blur", 0, 200),
+      offsetX: number(shadow.offsetX ?? 0, "shadow.offsetX", -500, 500),
+      offsetY: number(shadow.offsetY ?? 4, "shadow.offsetY", -500, 500)
+    },
+    background: background && {
+      color: color(background.color ?? "rgba(0,0,0,0.5)", "background.color"),
+      padding: number(background.padding ?? 24, "background.padding", 0, 500),
+      radius: number(background.radius ?? 0, "background.radius", 0, 500)
+    },
+    autoFit: autoFit && {
+      minSize: number(autoFit.minSize ?? 12, "autoFit.minSize", 4, size)
+    }
+  };
+}
+
+function fontString({ family, weight, style }, size) {
+  return `${style === "italic" ? "italic " : ""}${weight} ${size}px "${family}", sans-serif`;
+}
+
+function twemojiUrl(emoji) {
+  const codePoint = emoji.codePointAt(0).toString(16);
+  return `https://cdn.jsdelivr.net/gh/twitter/twemoji@14.0.2/assets/72x72/${codePoint}.png`;
+}
+
+// "hi 👋 there" -> [{ type: "text", content: "hi " }, { type: "emoji", content: "👋", url }, ...]
+function parseTextWithEmojis(text) {
+  const emojiRegex = /(\p{Emoji_Presentation}|\p{Emoji}\uFE0F)/gu;
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+  while ((match = emojiRegex.exec(text)) !== null) {
+    if (match.index > lastIndex) parts.push({ type: "text", content: text.slice(lastIndex, match.index) });
+    parts.push({ type: "emoji", content: match[0], url: twemojiUrl(match[0]) });
+    lastIndex = emojiRegex.lastIndex;
+  }
+  if (lastIndex < text.length) parts.push({ type: "text", content: text.slice(lastIndex) });
+  return parts;
+}
+
+// Greedy word wrap at the ctx's current font; emojis count as emojiSize wide
+function wrap(ctx, text, maxWidth, emojiSize) {
+  const measure = line => parseTextWithEmojis(line)
+    .reduce((w, p) => w + (p.type === "text" ? ctx.measureText(p.content).width : emojiSize), 0);
+  const lines = [];
+  for (const paragraph of text.split("\n")) {
+    let current = "";
+    for (const word of paragraph.split(" ")) {
+      const test = current ? `${current} ${word}` : word;
+      if (!current || measure(test) <= maxWidth) current = test;
+      else {
+        lines.push(current);
+        current = word;
+      }
+    }
+    lines.push(current);
+  }
+  return lines.map(line => ({ text: line, width: measure(line) }));
+}
+
+// Font size, wrapped lines with positions, and the block's bounds. With autoFit, the
+// largest size between minSize and font.size whose text fits (binary search; at minSize
+// the text may still overflow, reported as fits: false).
+export function layoutText(ctx, text, style) {
+  const at = size => {
+    ctx.font = fontString(style.font, size);
+    const lines = wrap(ctx, text, style.maxWidth, Math.round(size * EMOJI_SCALE));
+    const height = lines.length * size * style.lineHeight;
+    const fits = lines.every(l => l.width <= style.maxWidth) && (style.maxHeight === null || height <= style.maxHeight);
+    return { size, lines, height, fits };
+  };
+  let best = at(style.font.size);
+  if (style.autoFit && !best.fits) {
+    let lo = Math.ceil(style.autoFit.minSize);
+    let hi = Math.floor(style.font.size) - 1;
+    best = at(lo);
+    while (best.fits && lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      const attempt = at(mid);
+      if (attempt.fits) {
+        best = attempt;
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+  }
+  const lineHeight = best.size * style.lineHeight;
+  const offset = { left: 0, center: 0.5, right: 1 }[style.align];
+  const lines = best.lines.map((l, i) => ({
+    ...l,
+    x: style.x + (style.maxWidth - l.width) * offset,
+    y: style.y + i * lineHeight
+  }));
+  const widest = Math.max(...lines.map(l => l.width));
+  return {
+    size: best.size,
+    fits: best.fits,
+    lines,
+    bounds: { x: style.x + (style.maxWidth - widest) * offset, y: style.y, w: widest, h: best.height }
+  };
+}
+
+function roundedRect(ctx, x, y, w, h, r) {
+  r = Math.min(r, w / 2, h / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+// Draw laid-out text. Emoji images come from Twemoji through loadImage (one fetch each per
+// request); ones that fail fall back to the font's glyph. The shadow is cast once, by the
+// outline when there is one, so it doesn't double up under the fill.
+export async function drawText(ctx, layout, style, loadImage) {
+  const { size, lines, bounds } = layout;
+  const emojiSize = Math.round(size * EMOJI_SCALE);
+  ctx.font = fontString(style.font, size);
+  ctx.textBaseline = "top";
+
+  if (style.background) {
+    const { padding, radius, color: fill } = style.background;
+    ctx.fillStyle = fill;
+    roundedRect(ctx, bounds.x - padding, bounds.y - padding, bounds.w + 2 * padding, bounds.h + 2 * padding, radius);
+    ctx.fill();
+  }
+
+  const images = new Map();
+  const emoji = async url => {
+    if (!images.has(url)) images.set(url, loadImage(url).catch(() => null));
+    return images.get(url);
+  };
+  const setShadow = on => {
+    ctx.shadowColor = on && style.shadow ? style.shadow.color : "rgba(0,0,0,0)";
+    ctx.shadowBlur = on && style.shadow ? style.shadow.blur : 0;
+    ctx.shadowOffsetX = on && style.shadow ? style.shadow.offsetX : 0;
+    ctx.shadowOffsetY = on && style.shadow ? style.shadow.offsetY : 0;
+  };
+  const outline = style.stroke?.width > 0;
+  if (outline) {
+    ctx.lineWidth = style.stroke.width;
+    ctx.strokeStyle = style.stroke.color;
+    ctx.lineJoin = "round";
+  }
+  ctx.fillStyle = style.color;
+
+  for (const line of lines) {
+    let x = line.x;
+    for (const part of parseTextWithEmojis(line.text)) {
+      const image = part.type === "emoji" ? await emoji(part.url) : null;
+      if (part.type === "emoji" && !image) console.log(`Failed to load emoji ${part.content}, using fallback`);
+      if (image) {
+        setShadow(true);
+        ctx.drawImage(image, x, line.y - Math.round(size / 11), emojiSize, emojiSize);
+        x += emojiSize;
+        continue;
+      }
+      if (outline) {
+        setShadow(true);
+        ctx.strokeText(part.content, x, line.y);
+      }
+      setShadow(!outline);
+      ctx.fillText(part.content, x, line.y);
+      x += ctx.measureText(part.content).width;
+    }
+  }
+  setShadow(false);
+}
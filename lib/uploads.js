@@ -0,0 +1,199 @@
+// uploads.js — resumable uploads: create, append chunks at an offset, query, finalize.
+// Chunks stream straight to disk, and an interrupted chunk keeps the bytes that made it,
+// so the client resumes from the reported offset. A finalized upload stands in for a
+// request body (?upload=<id>) or a form-data file (?upload[video]=<id>) on any processing route.
+import { promises as fs, createReadStream, createWriteStream } from "fs";
+import { createHash, randomUUID } from "crypto";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { HttpError } from "./errors.js";
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || join(tmpdir(), "cropapi-uploads");
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_MB || 2048) * 1024 * 1024;
+const UPLOAD_TTL_MS = Number(process.env.UPLOAD_TTL_SECONDS || 86400) * 1000;
+
+// A finished upload handed to a route in place of a Buffer; `length` mirrors Buffer#length
+export class UploadedFile {
+  constructor(path, size) {
+    this.path = path;
+    this.length = size;
+  }
+}
+
+// Ids with a chunk being written right now
+const writing = new Set();
+
+const partPath = id => join(UPLOAD_DIR, `${id}.part`);
+const metaPath = id => join(UPLOAD_DIR, `${id}.json`);
+
+function validId(id) {
+  return typeof id === "string" && /^[0-9a-f-]{36}$/.test(id);
+}
+
+async function readMeta(id) {
+  if (!validId(id)) return null;
+  try {
+    const meta = JSON.parse(await fs.readFile(metaPath(id), "utf8"));
+    return Date.parse(meta.expiresAt) > Date.now() ? meta : null;
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+async function writeMeta(meta) {
+  await fs.writeFile(metaPath(meta.id), JSON.stringify(meta));
+}
+
+async function received(id) {
+  return (await fs.stat(partPath(id))).size;
+}
+
+async function load(id) {
+  const meta = await readMeta(id);
+  if (!meta) throw new HttpError(404, "Upload not found");
+  return meta;
+}
+
+// Public view: metadata plus how many bytes have arrived
+async function describe(meta) {
+  return { ...meta, offset: await received(meta.id) };
+}
+
+// size (optional) is the total length the client intends to send
+export async function createUpload({ size, filename } = {}) {
+  let total = null;
+  if (size !== undefined) {
+    total = Number(size);
+    if (!Number.isInteger(total) || total <= 0) throw new HttpError(400, "'size' must be a positive number of bytes");
+  }
+  if (total > UPLOAD_MAX_BYTES) {
+    throw new HttpError(413, `Upload too large (max ${Math.round(UPLOAD_MAX_BYTES / 1024 / 1024)}MB)`);
+  }
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  const now = Date.now();
+  const meta = {
+    id: randomUUID(),
+    size: total,
+    filename: filename ? String(filename).slice(0, 200) : null,
+    complete: false,
+    checksum: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + UPLOAD_TTL_MS).toISOString()
+  };
+  await fs.writeFile(partPath(meta.id), "");
+  await writeMeta(meta);
+  return describe(meta);
+}
+
+export async function getUpload(id) {
+  return describe(await load(id));
+}
+
+// Stream `body` onto the end of the upload. `offset` must equal the bytes received so
+// far (409 with the real offset otherwise). Resolves to the upload's new state.
+export async function appendChunk(id, offset, body) {
+  const meta = await load(id);
+  if (meta.complete) throw new HttpError(409, "Upload already finalized");
+  const current = await received(id);
+  if (!Number.isInteger(offset) || offset !== current) {
+    throw new HttpError(409, "Offset does not match the bytes received", { error: "Offset does not match the bytes received", offset: current });
+  }
+  if (writing.has(id)) throw new HttpError(409, "Another chunk is being written to this upload");
+
+  const limit = meta.size ?? UPLOAD_MAX_BYTES;
+  let total = current;
+  const counter = new Transform({
+    transform(chunk, _, done) {
+      total += chunk.length;
+      if (total > limit) return done(new HttpError(413, `Chunk runs past the ${meta.size ? "declared size" : "upload limit"} (${limit} bytes)`));
+      done(null, chunk);
+    }
+  });
+
+  writing.add(id);
+  try {
+    await pipeline(body, counter, createWriteStream(partPath(id), { flags: "a" }));
+  } catch (e) {
+    // An oversized chunk is rejected whole; a dropped connection keeps what arrived
+    if (e.status === 413) await fs.truncate(partPath(id), current);
+    throw e;
+  } finally {
+    writing.delete(id);
+  }
+  meta.expiresAt = new Date(Date.now() + UPLOAD_TTL_MS).toISOString();
+  await writeMeta(meta);
+  return describe(meta);
+}
+
+// Seal the upload (it must be exactly `size` bytes when a size was declared) and record
+// its checksum; `expected` ("sha256:<hex>") is verified when given.
+export async function finalizeUpload(id, expected) {
+  const meta = await load(id);
+  if (meta.complete) return describe(meta);
+  if (writing.has(id)) throw new HttpError(409, "A chunk is still being written to this upload");
+  const bytes = await received(id);
+  if (!bytes) throw new HttpError(409, "Upload is empty");
+  if (meta.size !== null && bytes !== meta.size) {
+    throw new HttpError(409, "Upload incomplete", { error: "Upload incomplete", offset: bytes, size: meta.size });
+  }
+
+  const hash = createHash("sha256");
+  for await (const chunk of createReadStream(partPath(id))) hash.update(chunk);
+  const checksum = `sha256:${hash.digest("hex")}`;
+  if (expected && expected.toLowerCase() !== checksum) {
+    throw new HttpError(422, "Checksum mismatch", { error: "Checksum mismatch", checksum });
+  }
+
+  Object.assign(meta, { complete: true, size: bytes, checksum });
+  await writeMeta(meta);
+  return describe(meta);
+}
+
+export async function deleteUpload(id) {
+  if (!(await readMeta(id))) return false;
+  await fs.rm(partPath(id), { force: true });
+  await fs.rm(metaPath(id), { force: true });
+  return true;
+}
+
+// The finished upload behind an id, for use as route input
+export async function uploadedFile(id) {
+  const meta = await load(id);
+  if (!meta.complete) throw new HttpError(409, `Upload ${id} is not finalized`);
+  return new UploadedFile(partPath(id), meta.size);
+}
+
+// Put an upload's bytes at `dest`: a hard link when the temp dir shares a filesystem, else a copy
+export async function materialize(upload, dest) {
+  try {
+    await fs.link(upload.path, dest);
+  } catch {
+    await fs.copyFile(upload.path, dest);
+  }
+}
+
+// Expired uploads (finished or not) are dropped along with their bytes
+setInterval(async () => {
+  let names;
+  try {
+    names = await fs.readdir(UPLOAD_DIR);
+  } catch {
+    return;
+  }
+  for (const name of names.filter(n => n.endsWith(".json"))) {
+    const id = name.slice(0, -".json".length);
+    if (writing.has(id)) continue;
+    try {
+      const meta = JSON.parse(await fs.readFile(metaPath(id), "utf8"));
+      if (Date.parse(meta.expiresAt) > Date.now()) continue;
+      await fs.rm(partPath(id), { force: true });
+      await fs.rm(metaPath(id), { force: true });
+      console.log(`[uploads] expired ${id}`);
+    } catch (e) {
+      console.error(`[uploads] sweep failed for ${id}:`, e.message || e);
+    }
+  }
+}, 60_000).unref();
@@ -0,0 +1,80 @@
+// webhooks.js — signed callback POSTs for finished jobs, retried with exponential backoff.
+// Receivers verify X-Webhook-Signature: "sha256=" + hex HMAC-SHA256(WEBHOOK_SECRET,
+// `${X-Webhook-Timestamp}.${raw body}`). X-Webhook-Id stays the same across retries.
+import axios from "axios";
+import { createHmac, randomUUID } from "crypto";
+import { HttpError } from "./errors.js";
+import { parsePublicUrl, publicAgents, isBlockedError } from "./remote.js";
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 2) * 1000;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_SECONDS || 10) * 1000;
+
+// Validated ?callbackUrl=; 501 while no secret is configured, since every payload is signed
+export function webhookTarget(text) {
+  if (!WEBHOOK_SECRET) throw new HttpError(501, "Callbacks are not configured (set WEBHOOK_SECRET)");
+  return parsePublicUrl(text, "callbackUrl").toString();
+}
+
+function signature(timestamp, body) {
+  return "sha256=" + createHmac("sha256", WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// 2xx is delivered; 408, 429 and 5xx (and network errors) are worth retrying
+function retryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// POST payload to url until it is accepted or attempts run out; resolves to true on delivery
+export async function deliverWebhook(url, payload) {
+  const body = JSON.stringify(payload);
+  const deliveryId = randomUUID();
+  const target = new URL(url).host;
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let reason;
+    try {
+      const res = await axios.post(url, body, {
+        ...publicAgents,
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "ffmpeg-crop-api",
+          "X-Webhook-Id": deliveryId,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Attempt": String(attempt),
+          "X-Webhook-Signature": signature(timestamp, body)
+        }
+      });
+      if (res.status >= 200 && res.status < 300) {
+        console.log(`[webhooks] ${deliveryId} delivered to ${target} (attempt ${attempt})`);
+        return true;
+      }
+      reason = `HTTP ${res.status}`;
+      if (!retryable(res.status)) {
+        console.error(`[webhooks] ${deliveryId} rejected by ${target}: ${reason}`);
+        return false;
+      }
+    } catch (e) {
+      if (isBlockedError(e)) {
+        console.error(`[webhooks] ${deliveryId} not sent: ${target} is not a public address`);
+        return false;
+      }
+      reason = e.code || e.message;
+    }
+
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      // 2s, 4s, 8s, ... with ±20% jitter so retries from many jobs don't line up
+      const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4);
+      console.log(`[webhooks] ${deliveryId} to ${target} failed (${reason}), retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    } else {
+      console.error(`[webhooks] ${deliveryId} to ${target} failed (${reason}), giving up after ${attempt} attempts`);
+    }
+  }
+  return false;
+}
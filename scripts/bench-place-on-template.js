@@ -0,0 +1,151 @@
+// bench-place-on-template.js — compares the single-pass /place-on-template render
+// (lib/composite.js) with the old two-pass one, which first encoded the looped template into
+// a full-length template_bg.mp4 and then encoded the composite over it.
+//
+//   npm run bench:template -- [seconds=10] [runs=3]
+//
+// Generates a 1080x1920 test video and a template with transparent areas, renders both
+// ways, and prints wall-clock times plus output size and duration. Exits 1 when the
+// outputs disagree on dimensions or duration (beyond one frame).
+import { promises as fs } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { performance } from "perf_hooks";
+import { sh } from "../lib/sh.js";
+import { probe } from "../lib/probe.js";
+import { legacyLayout, slotVideos, templateFilter, compositeGraph } from "../lib/layout.js";
+import { encodingSettings, outputFilters, streamArgs, encodeArgs } from "../lib/encoding.js";
+import { compositeArgs } from "../lib/composite.js";
+
+const seconds = Number(process.argv[2] || 10);
+const runs = Number(process.argv[3] || 3);
+const FRAME = 1 / 30;
+
+// The route before single-pass compositing: bake the template onto the canvas colour as a
+// video, then overlay the slots on that
+async function twoPass(layout, { videos, infos, template, duration }, enc, dir, output) {
+  const { width: cw, height: ch, background } = layout.canvas;
+  const bgVideo = join(dir, "template_bg.mp4");
+  await sh("ffmpeg", [
+    "-y",
+    "-f", "lavfi", "-i", `color=c=${background}:s=${cw}x${ch}:r=30`,
+    "-loop", "1", "-i", template,
+    "-filter_complex", "[0:v][1:v]overlay=0:0",
+    "-t", String(duration),
+    "-r", "30",
+    "-c:v", "libx264", "-preset", "ultrafast", "-crf", "23",
+    "-pix_fmt", "yuv420p",
+    "-avoid_negative_ts", "make_zero",
+    "-threads", "4",
+    bgVideo
+  ]);
+  const used = [...videos.keys()];
+  const videoIndex = new Map(used.map((i, n) => [i, 1 + n]));
+  const { graph, label } = compositeGraph(layout, {
+    base: "[0:v]",
+    video: slot => `[${videoIndex.get(slot.video)}:v]`,
+    info: slot => infos.get(slot.video),
+    mask: () => null,
+    border: () => null,
+    template: null
+  });
+  await sh("ffmpeg", [
+    "-y",
+    "-i", bgVideo,
+    ...used.flatMap(i => ["-i", videos.get(i)]),
+    "-filter_complex", `${graph};${label}${["null", ...outputFilters(enc)].join(",")}[out]`,
+    ...streamArgs(enc, { video: "[out]", source: 1, hasAudio: Boolean(infos.get(used[0]).audio) }),
+    "-t", String(duration),
+    ...encodeArgs(enc),
+    output
+  ]);
+}
+
+async function singlePass(layout, { videos, infos, template, duration }, enc, _dir, output) {
+  await sh("ffmpeg", compositeArgs(layout, {
+    videos,
+    infos,
+    audio: null,
+    stills: [],
+    decorations: new Map(layout.slots.map(s => [s, {}])),
+    template: { file: template, info: null, animated: false }
+  }, enc, { duration, output }));
+}
+
+async function timed(fn) {
+  const start = performance.now();
+  await fn();
+  return (performance.now() - start) / 1000;
+}
+
+const median = list => [...list].sort((a, b) => a - b)[Math.floor(list.length / 2)];
+
+async function main() {
+  if (!(seconds > 0) || !(runs >= 1)) throw new Error("usage: bench-place-on-template.js [seconds>0] [runs>=1]");
+  const dir = await fs.mkdtemp(join(tmpdir(), "bench-template-"));
+  try {
+    const content = join(dir, "content.mp4");
+    const source = join(dir, "template_src.png");
+    const template = join(dir, "template.png");
+    console.log(`Generating ${seconds}s of test content...`);
+    await sh("ffmpeg", [
+      "-y",
+      "-f", "lavfi", "-i", `testsrc2=s=1080x1920:r=30:d=${seconds}`,
+      "-f", "lavfi", "-i", `sine=frequency=440:d=${seconds}`,
+      "-c:v", "libx264", "-preset", "ultrafast", "-pix_fmt", "yuv420p", "-c:a", "aac",
+      "-shortest", content
+    ]);
+    // Opaque header and footer bands over a transparent middle, like a typical frame
+    await sh("ffmpeg", [
+      "-y", "-f", "lavfi", "-i",
+      "color=c=black@0:s=1080x1920,format=rgba," +
+      "drawbox=x=0:y=0:w=1080:h=300:color=0xcc3344@1:t=fill," +
+      "drawbox=x=0:y=1620:w=1080:h=300:color=0x3344cc@1:t=fill",
+      "-frames:v", "1", source
+    ]);
+
+    const layout = legacyLayout(300, 300);
+    await sh("ffmpeg", ["-y", "-i", source, "-vf", templateFilter(layout), "-frames:v", "1", template]);
+    const info = await probe(content);
+    const videos = new Map(slotVideos(layout).map(i => [i, content]));
+    const infos = new Map(slotVideos(layout).map(i => [i, info]));
+    const inputs = { videos, infos, template, duration: info.duration };
+    const enc = encodingSettings({}, { crf: 23 });
+
+    const results = [];
+    for (const [name, render] of [["two-pass", twoPass], ["single-pass", singlePass]]) {
+      const output = join(dir, `${name}${enc.ext}`);
+      const times = [];
+      for (let i = 0; i < runs; i++) times.push(await timed(() => render(layout, inputs, enc, dir, output)));
+      const { video, duration } = await probe(output);
+      results.push({ name, seconds: median(times), width: video.width, height: video.height, duration });
+    }
+
+    console.log(`\n${runs} run(s) each, median wall-clock time, ${info.duration}s of content:`);
+    for (const r of results) {
+      console.log(`  ${r.name.padEnd(12)} ${r.seconds.toFixed(2).padStart(7)}s  ${r.width}x${r.height}  ${r.duration}s`);
+    }
+    const [before, after] = results;
+    console.log(`  speed-up     ${(before.seconds / after.seconds).toFixed(2)}x`);
+
+    const problems = [];
+    if (before.width !== after.width || before.height !== after.height) {
+      problems.push(`dimensions differ: ${before.width}x${before.height} vs ${after.width}x${after.height}`);
+    }
+    if (!(Math.abs(before.duration - after.duration) <= FRAME + 0.001)) {
+      problems.push(`durations differ: ${before.duration}s vs ${after.duration}s`);
+    }
+    if (!(Math.abs(after.duration - info.duration) <= FRAME + 0.001)) {
+      problems.push(`single-pass output is ${after.duration}s, content is ${info.duration}s`);
+    }
+    for (const p of problems) console.error(`MISMATCH: ${p}`);
+    process.exitCode = problems.length ? 1 : 0;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch(e => {
+  console.error(e.message || e);
+  process.exit(1);
+});
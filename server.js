@@ -2,12 +2,39 @@
 import express from "express";
 import { promises as fs } from "fs";
 import { tmpdir } from "os";
-import { join } from "path";
-import { spawn } from "child_process";
+import { join, extname } from "path";
 import multer from "multer";
-import { createCanvas, loadImage, registerFont } from 'canvas';
+import { createCanvas, loadImage } from 'canvas';
+import { HttpError } from "./lib/errors.js";
+import { admit, poolStats } from "./lib/pool.js";
+import { sh } from "./lib/sh.js";
+import { probe, probeInput } from "./lib/probe.js";
+import { analyseCrop, parseCropParam, BACKGROUNDS } from "./lib/detect.js";
+import { createJob, admitJob, getJob, jobStatus, jobStats, subscribe, isFinished } from "./lib/jobs.js";
+import { encodingSettings, outputFilters, encodeArgs, streamArgs, outputName } from "./lib/encoding.js";
+import { parsePipeline, compilePipeline } from "./lib/effects.js";
+import { putObject, getObject, deleteObject, parseTtl } from "./lib/storage.js";
+import { sendStored } from "./lib/serve.js";
+import { signOptions, signPath, verifyPath, checkAdmin, SIGNING_REQUIRED } from "./lib/signing.js";
+import {
+  createUpload, getUpload, appendChunk, finalizeUpload, deleteUpload, uploadedFile, materialize, UploadedFile
+} from "./lib/uploads.js";
+import { fetchSource } from "./lib/remote.js";
+import { webhookTarget, deliverWebhook } from "./lib/webhooks.js";
+import { sequenceOptions, sequenceFilter, audioOutput } from "./lib/sequence.js";
+import { masteringOptions, silenceTrimFilter, twoPassLoudnorm, loudnessHeader } from "./lib/loudness.js";
+import { addPart, getSession, sessionParts, deleteSession, SESSION_PART_MAX_BYTES } from "./lib/sessions.js";
+import {
+  createTemplate, getTemplate, listTemplates, updateTemplate, deleteTemplate, templateSource, cachedTemplate
+} from "./lib/templates.js";
+import {
+  parseLayout, legacyLayout, slotVideos, slotDecorations, templateFilter
+} from "./lib/layout.js";
+import { compositeArgs, isAnimated } from "./lib/composite.js";
+import { parseTextStyle, layoutText, drawText, fontFamilies } from "./lib/text.js";
 
 const app = express();
+app.set("trust proxy", true); // https behind the platform proxy, for URLs we hand out
 app.use(express.json({ limit: "2mb" }));
 
 // RAW body for binary upload
@@ -16,322 +43,545 @@ const rawUpload = express.raw({ type: "*/*", limit: "500mb" });
 // Multer for multipart/form-data (used by /place-on-template)
 const upload = multer();
 
-// Storage for audio parts (in production, use Redis or a database)
-const audioParts = new Map();
+// Video routes: a raw video body, or form-data with a 'video' file plus an
+// optional 'audio' file for audio=replace
+const videoUpload = (req, res, next) =>
+  req.is("multipart/form-data")
+    ? upload.fields([{ name: "video", maxCount: 1 }, { name: "audio", maxCount: 1 }])(req, res, next)
+    : rawUpload(req, res, next);
+
+// Image routes: a raw image body, or form-data with an 'image' file and text fields
+const imageUpload = (req, res, next) =>
+  req.is("multipart/form-data") ? upload.single("image")(req, res, next) : rawUpload(req, res, next);
+
+// Audio parts spool to disk before they join a session (see lib/sessions.js)
+const spoolUpload = multer({ dest: join(tmpdir(), "cropapi-spool"), limits: { fileSize: SESSION_PART_MAX_BYTES } });
 
 // ------------------------------
 // helpers
 // ------------------------------
-function sh(cmd, args) {
-  return new Promise((resolve, reject) => {
-    const p = spawn(cmd, args);
-    let stdout = "", stderr = "";
-    p.stdout.on("data", d => (stdout += d.toString()));
-    p.stderr.on("data", d => (stderr += d.toString()));
-    p.on("close", code =>
-      code === 0 ? resolve({ stdout, stderr }) : reject(new Error(stderr || `exit ${code}`))
-    );
-  });
+// Route inputs are Buffers, or UploadedFiles for finished resumable uploads (lib/uploads.js)
+async function writeInput(file, data) {
+  if (data instanceof UploadedFile) return materialize(data, file);
+  await fs.writeFile(file, Buffer.isBuffer(data) ? data : Buffer.from(data));
 }
 
 async function bufferToTemp(buf) {
   const dir = await fs.mkdtemp(join(tmpdir(), "cropapi-"));
   const file = join(dir, "in.mp4");
-  await fs.writeFile(file, Buffer.isBuffer(buf) ? buf : Buffer.from(buf));
+  await writeInput(file, buf);
   return { dir, file };
 }
 
 async function bufferToTempWithExt(buf, ext = ".bin") {
   const dir = await fs.mkdtemp(join(tmpdir(), "tpl-"));
   const file = join(dir, "f" + ext);
-  await fs.writeFile(file, Buffer.isBuffer(buf) ? buf : Buffer.from(buf));
+  await writeInput(file, buf);
   return { dir, file };
 }
 
-function parseCrop(stderrTxt) {
-  const m = [...stderrTxt.matchAll(/crop=(\d+):(\d+):(\d+):(\d+)/g)];
-  if (!m.length) return null;
-  const g = m[m.length - 1];
-  const w = +g[1], h = +g[2], x = +g[3], y = +g[4];
-  return { x, y, w, h, text: `crop=${w}:${h}:${x}:${y}` };
+// Write an upload to temp and probe it (see lib/probe.js); a 415 leaves nothing behind
+async function mediaToTemp(buf, need, ext, label) {
+  const { dir, file } = ext ? await bufferToTempWithExt(buf, ext) : await bufferToTemp(buf);
+  try {
+    return { dir, file, info: await probeInput(file, need, label) };
+  } catch (e) {
+    await rmrf(dir);
+    throw e;
+  }
+}
+
+// The video (and replacement audio, if any) sent to a videoUpload route
+function videoParts({ body, files }) {
+  if (files) return { video: files.video?.[0]?.buffer || null, audio: files.audio?.[0]?.buffer || null };
+  return { video: body?.length ? body : null, audio: null };
+}
+
+// Temp copies of the video and, for audio=replace, the replacement track, both probed.
+// Resolves to { file, info, audioFile, dirs }; a failure leaves nothing behind.
+async function videoSources({ video, audio }, enc) {
+  if (enc.audio === "replace" && !audio?.length) {
+    throw new HttpError(400, "audio=replace needs an 'audio' file: send form-data with 'video' and 'audio'");
+  }
+  const src = await mediaToTemp(video, "video");
+  if (enc.audio !== "replace") return { ...src, audioFile: null, dirs: [src.dir] };
+  try {
+    const track = await mediaToTemp(audio, "audio", ".bin", "audio");
+    return { ...src, audioFile: track.file, dirs: [src.dir, track.dir] };
+  } catch (e) {
+    await rmrf(src.dir);
+    throw e;
+  }
+}
+
+async function rmrf(...paths) {
+  for (const p of paths) if (p) await fs.rm(p, { recursive: true, force: true });
 }
 
-async function encodeWithCrop(inFile, cropText, outFile) {
-  const vf = [cropText, "scale=trunc(iw/2)*2:trunc(ih/2)*2:flags=bicubic"].join(",");
+// src: from videoSources(); enc: settings from encodingSettings() (lib/encoding.js)
+async function encodeWithCrop(src, cropText, outFile, enc, { onProgress } = {}) {
+  const vf = [cropText, "scale=trunc(iw/2)*2:trunc(ih/2)*2:flags=bicubic", ...outputFilters(enc)].join(",");
   await sh("ffmpeg", [
-    "-y", "-i", inFile,
+    "-y", "-i", src.file,
+    ...(src.audioFile ? ["-i", src.audioFile] : []),
     "-vf", vf,
-    "-c:v", "libx264", "-crf", "18", "-preset", "ultrafast", // Changed to ultrafast
-    "-pix_fmt", "yuv420p", "-movflags", "+faststart",
-    "-avoid_negative_ts", "make_zero",
-    "-threads", "4", // Limit threads
-    "-an",
+    ...streamArgs(enc, { hasAudio: Boolean(src.info.audio) }),
+    ...encodeArgs(enc),
     outFile
-  ]);
+  ], { duration: src.info.duration, onProgress });
 }
 
 // ------------------------------
-// DETECTORS
+// OPERATIONS
 // ------------------------------
-async function detectDarkCrop(file, seconds = 2) { // Reduced from 4 to 2 seconds
-  const vf = "format=gray,boxblur=16:1:cr=0:ar=0,cropdetect=limit=24:round=2:reset=0";
+// Heavy routes are registered as operations so the same handler serves both the
+// synchronous route and background jobs submitted to POST /jobs/:operation.
+// A handler gets { body, files, file, fields, query } plus a job context ({ progress, span })
+// and resolves to { file | buffer | json, type, filename, disposition, headers, cleanup }.
+const operations = new Map();
+const noBody = (req, res, next) => next();
+
+// Synchronous requests have nobody to report progress to
+const noProgress = { progress() {}, span() {} };
+
+// fields: JSON body or form-data text fields (set by referencedInputs);
+// publish(result) stores a result like /store-video and describes the stored copy
+function requestInput(req) {
+  return {
+    body: req.body,
+    files: req.files,
+    file: req.file,
+    fields: req.fields,
+    query: { ...req.query },
+    publish: result => publishResult(result, req)
+  };
+}
+
+function sendResult(res, result) {
+  if (result.headers) res.set(result.headers);
+  if (result.json) {
+    res.json(result.json);
+    return result.cleanup?.();
+  }
+  res.setHeader("Content-Type", result.type);
+  res.setHeader("Content-Disposition", `${result.disposition || "attachment"}; filename="${result.filename}"`);
+  if (result.buffer) {
+    res.send(result.buffer);
+    return result.cleanup?.();
+  }
+  res.sendFile(result.file, async (err) => {
+    if (err) console.error("Send file error:", err);
+    await result.cleanup?.();
+    console.log("Cleanup complete");
+  });
+}
+
+function sendError(res, e) {
+  if (!(e instanceof HttpError)) console.error(e);
+  if (e.headers) res.set(e.headers);
+  res.status(e.status || 500).json(e.body || { error: String(e.message || e) });
+}
+
+// Reject before the (possibly 500mb) body is read when ffmpeg is saturated, or, for work
+// that will run in the background (/jobs/* and ?callbackUrl=), when the job queue is full
+function admission(req, res, next) {
   try {
-    const { stderr } = await sh("ffmpeg", [
-      "-y", "-ss", "2", "-t", String(seconds), // Start at 2 seconds to skip intro
-      "-i", file, "-vf", vf, "-f", "null", 
-      "-avoid_negative_ts", "make_zero",
-      "-threads", "4", // Limit threads to prevent overload
-      "-"
-    ]);
-    return parseCrop(stderr);
-  } catch { return null; }
+    admit();
+    if (req.path.startsWith("/jobs/") || req.query.callbackUrl !== undefined) admitJob();
+    next();
+  } catch (e) {
+    sendError(res, e);
+  }
 }
 
-async function detectWhiteCrop(file, seconds = 3) { // Reduced from 6 to 3 seconds
-  const pipelines = [
-    "format=gray,boxblur=28:1:cr=0:ar=0,lut=y='val>238?0:255',cropdetect=limit=6:round=2:reset=0",
-    "format=gray,boxblur=34:1:cr=0:ar=0,lut=y='val>240?0:255',cropdetect=limit=8:round=2:reset=0"
-    // Removed the slower pipelines to speed up processing
-  ];
-  for (const vf of pipelines) {
-    try {
-      const { stderr } = await sh("ffmpeg", [
-        "-y", "-ss", "2", "-t", String(seconds), // Start at 2 seconds
-        "-i", file, "-vf", vf, "-f", "null",
-        "-avoid_negative_ts", "make_zero",
-        "-threads", "4", // Limit threads
-        "-"
-      ]);
-      const c = parseCrop(stderr);
-      if (c) return c;
-    } catch {}
+// Put a referenced input where the route expects it: a string ref replaces the raw
+// body, { field: ref } fills form-data files
+async function attachInput(req, ref, resolve) {
+  if (typeof ref === "string") {
+    req.body = await resolve(ref, "source");
+    return;
+  }
+  req.files = { ...req.files };
+  for (const [field, value] of Object.entries(ref)) {
+    const entry = { fieldname: field, buffer: await resolve(String(value), `source[${field}]`) };
+    req.files[field] = [entry];
+    req.file ??= entry; // routes taking a single file
+  }
+}
+
+// Inputs that aren't in the request itself: ?upload=<id> (a finished /uploads upload)
+// or ?source=<url> (fetched, see lib/remote.js) stand in for the raw body, and
+// ?upload[field]= / ?source[field]= for form-data files. Fetched files live in
+// req.inputDirs until the operation is done with them.
+async function referencedInputs(req, res, next) {
+  const body = req.body;
+  req.fields = body && typeof body === "object" && !Buffer.isBuffer(body) ? body : {};
+  req.inputDirs = [];
+  const { upload, source } = req.query;
+  if (upload === undefined && source === undefined) return next();
+  try {
+    if (upload !== undefined) await attachInput(req, upload, id => uploadedFile(id));
+    if (source !== undefined) {
+      await attachInput(req, source, async (url, label) => {
+        const { file, dir } = await fetchSource(url, label);
+        req.inputDirs.push(dir);
+        return file;
+      });
+    }
+    next();
+  } catch (e) {
+    await rmrf(...req.inputDirs);
+    sendError(res, e);
+  }
+}
+
+// ?callbackUrl= turns any operation into a job whose outcome is POSTed there
+function callbackTarget(req, res, next) {
+  if (req.query.callbackUrl === undefined) return next();
+  try {
+    req.callbackUrl = webhookTarget(req.query.callbackUrl);
+    next();
+  } catch (e) {
+    sendError(res, e);
   }
-  return null;
+}
+
+function operation(name, parser, handler) {
+  operations.set(name, { parser, handler });
+  app.post(`/${name}`, admission, parser, callbackTarget, referencedInputs, async (req, res) => {
+    if (req.callbackUrl) return submitJob(req, res, name);
+    try {
+      sendResult(res, await handler(requestInput(req), noProgress));
+    } catch (e) {
+      sendError(res, e);
+    } finally {
+      await rmrf(...req.inputDirs);
+    }
+  });
 }
 
 // ------------------------------
 // ROUTES
 // ------------------------------
 
-// Black bars
-app.post("/crop-upload", rawUpload, async (req, res) => {
+// ?background=dark|white|color|auto picks the detector; ?crop=w:h:x:y (e.g. a
+// rectangle from /detect-crop) skips detection entirely
+function cropOptions(query, defaultBackground) {
+  const background = query.background || defaultBackground;
+  if (!BACKGROUNDS.includes(background)) {
+    throw new HttpError(400, `Invalid background. Must be one of: ${BACKGROUNDS.join(", ")}`);
+  }
+  if (query.crop === undefined) return { background, manual: null };
+  const manual = parseCropParam(query.crop);
+  if (!manual) throw new HttpError(400, "Query param 'crop' must look like 'w:h:x:y'");
+  return { background, manual };
+}
+
+// Size of the decoded (auto-rotated) frames, which is what the detectors see
+function frameSize(info) {
+  const { width, height, rotation } = info.video;
+  return Math.abs(rotation) === 90 || Math.abs(rotation) === 270
+    ? { width: height, height: width }
+    : { width, height };
+}
+
+// Crop filter text for an upload; falls back to the full frame when nothing is found
+async function findCrop(file, info, { background, manual }) {
+  if (manual) return manual.text;
+  const result = await analyseCrop(file, { background, frame: frameSize(info), duration: info.duration });
+  if (!result) throw new Error("Could not detect crop");
+  console.log(`Crop (${result.background}): ${result.crop}, confidence ${result.confidence}${result.fallback ? " (fallback)" : ""}`);
+  return result.crop;
+}
+
+// Detect borders only: the rectangle as JSON, no re-encode
+operation("detect-crop", rawUpload, async ({ body, query }) => {
+  if (!body?.length) throw new HttpError(400, "No file in body");
+  const { background } = cropOptions(query, "auto");
+  const { dir, info, file } = await mediaToTemp(body, "video");
+  try {
+    const result = await analyseCrop(file, { background, frame: frameSize(info), duration: info.duration });
+    if (!result) throw new HttpError(422, "Could not detect crop");
+    return { json: result };
+  } finally {
+    await rmrf(dir);
+  }
+});
+
+// Black bars (or any ?background=)
+operation("crop-upload", videoUpload, async (input, job) => {
+  const parts = videoParts(input);
+  if (!parts.video) throw new HttpError(400, "No file in body");
+  const options = cropOptions(input.query, "dark");
+  const enc = encodingSettings(input.query);
+  const src = await videoSources(parts, enc);
+  const outFile = join(tmpdir(), `cropapi-${Date.now()}-black${enc.ext}`);
+  let crop;
   try {
-    if (!req.body?.length) return res.status(400).json({ error: "No file in body" });
-    const { dir, file } = await bufferToTemp(req.body);
-    const crop = await detectDarkCrop(file, 4);
-    if (!crop) throw new Error("Could not detect crop");
-    const outFile = join(tmpdir(), `cropapi-${Date.now()}-black.mp4`);
-    await encodeWithCrop(file, crop.text, outFile);
-    res.setHeader("Content-Type", "video/mp4");
-    res.setHeader("Content-Disposition", 'attachment; filename="cropped.mp4"');
-    res.sendFile(outFile, async () => { await fs.rm(dir, { recursive: true, force: true }); });
+    crop = await findCrop(src.file, src.info, options);
+    job.progress(10);
+    await encodeWithCrop(src, crop, outFile, enc, { onProgress: job.span(10, 100) });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: String(e.message || e) });
+    await rmrf(...src.dirs, outFile);
+    throw e;
   }
+  return { file: outFile, type: enc.type, filename: outputName("cropped.mp4", enc), headers: { "X-Crop": crop }, cleanup: () => rmrf(...src.dirs, outFile) };
 });
 
 // White/light background
-app.post("/crop-upload-white", rawUpload, async (req, res) => {
+operation("crop-upload-white", videoUpload, async (input, job) => {
+  const parts = videoParts(input);
+  if (!parts.video) throw new HttpError(400, "No file in body");
+  const options = cropOptions(input.query, "white");
+  const enc = encodingSettings(input.query);
+  const src = await videoSources(parts, enc);
+  const outFile = join(tmpdir(), `cropapi-${Date.now()}-white${enc.ext}`);
+  let crop;
   try {
-    if (!req.body?.length) return res.status(400).json({ error: "No file in body" });
-    const { dir, file } = await bufferToTemp(req.body);
-    const crop = await detectWhiteCrop(file, 6);
-    if (!crop) throw new Error("Could not detect crop on white background");
-    const outFile = join(tmpdir(), `cropapi-${Date.now()}-white.mp4`);
-    await encodeWithCrop(file, crop.text, outFile);
-    res.setHeader("Content-Type", "video/mp4");
-    res.setHeader("Content-Disposition", 'attachment; filename="cropped.mp4"');
-    res.sendFile(outFile, async () => { await fs.rm(dir, { recursive: true, force: true }); });
+    crop = await findCrop(src.file, src.info, options);
+    job.progress(10);
+    await encodeWithCrop(src, crop, outFile, enc, { onProgress: job.span(10, 100) });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: String(e.message || e) });
+    await rmrf(...src.dirs, outFile);
+    throw e;
+  }
+  return { file: outFile, type: enc.type, filename: outputName("cropped.mp4", enc), headers: { "X-Crop": crop }, cleanup: () => rmrf(...src.dirs, outFile) };
+});
+
+// Inspect media: container, duration and normalized streams (see lib/probe.js)
+operation("probe", rawUpload, async ({ body }) => {
+  if (!body?.length) throw new HttpError(400, "No file in body");
+  const { dir, file } = await bufferToTempWithExt(body);
+  try {
+    const { video, audio, ...info } = await probe(file);
+    return { json: { ...info, size: info.size ?? body.length } };
+  } finally {
+    await rmrf(dir);
   }
 });
 
 // Single frame (JPG)
-app.post("/frame", rawUpload, async (req, res) => {
+operation("frame", rawUpload, async ({ body }) => {
+  if (!body?.length) throw new HttpError(400, "No file");
+  const { dir, file } = await mediaToTemp(body, "video");
+  const outFile = join(tmpdir(), `frame-${Date.now()}.jpg`);
   try {
-    if (!req.body?.length) return res.status(400).json({ error: "No file" });
-    const { dir, file } = await bufferToTemp(req.body);
-    const outFile = join(tmpdir(), `frame-${Date.now()}.jpg`);
     await sh("ffmpeg", ["-y", "-i", file, "-ss", "00:00:02", "-vframes", "1", outFile]);
-    res.setHeader("Content-Type", "image/jpeg");
-    res.setHeader("Content-Disposition", 'inline; filename="frame.jpg"');
-    res.sendFile(outFile, async () => { await fs.rm(dir, { recursive: true, force: true }); });
   } catch (e) {
-    res.status(500).json({ error: String(e.message || e) });
+    await rmrf(dir, outFile);
+    throw e;
   }
+  return { file: outFile, type: "image/jpeg", filename: "frame.jpg", disposition: "inline", cleanup: () => rmrf(dir, outFile) };
 });
 
 // Crop a tiny strip from top (percent) - OPTIMIZED VERSION
-app.post("/crop-strip-top", rawUpload, async (req, res) => {
+operation("crop-strip-top", videoUpload, async (input, job) => {
+  const parts = videoParts(input);
+  if (!parts.video) throw new HttpError(400, "No file");
+  const percent = Number(input.query.percent || 5);
+  const enc = encodingSettings(input.query);
+  const src = await videoSources(parts, enc);
+  const outFile = join(tmpdir(), `cropapi-${Date.now()}-strip${enc.ext}`);
+  const vf = [`crop=in_w:in_h*${(100 - percent) / 100}:0:in_h*${percent / 100}`, ...outputFilters(enc)].join(",");
   try {
-    if (!req.body?.length) return res.status(400).json({ error: "No file" });
-    const percent = Number(req.query.percent || 5);
-    const { dir, file } = await bufferToTemp(req.body);
-    const outFile = join(tmpdir(), `cropapi-${Date.now()}-strip.mp4`);
-    const vf = `crop=in_w:in_h*${(100 - percent) / 100}:0:in_h*${percent / 100}`;
     await sh("ffmpeg", [
-      "-y", "-i", file, "-vf", vf,
-      "-c:v", "libx264", "-crf", "18", "-preset", "ultrafast", // Changed to ultrafast
-      "-pix_fmt", "yuv420p", "-movflags", "+faststart",
-      "-avoid_negative_ts", "make_zero", // Added timestamp fix
-      "-threads", "4", // Added thread limit
-      "-an", outFile
-    ]);
-    res.setHeader("Content-Type", "video/mp4");
-    res.setHeader("Content-Disposition", 'attachment; filename="cropped.mp4"');
-    res.sendFile(outFile, async () => { await fs.rm(dir, { recursive: true, force: true }); });
+      "-y", "-i", src.file,
+      ...(src.audioFile ? ["-i", src.audioFile] : []),
+      "-vf", vf,
+      ...streamArgs(enc, { hasAudio: Boolean(src.info.audio) }),
+      ...encodeArgs(enc),
+      outFile
+    ], { duration: src.info.duration, onProgress: job.span(0, 100) });
   } catch (e) {
-    res.status(500).json({ error: String(e.message || e) });
+    await rmrf(...src.dirs, outFile);
+    throw e;
   }
+  return { file: outFile, type: enc.type, filename: outputName("cropped.mp4", enc), cleanup: () => rmrf(...src.dirs, outFile) };
 });
 
 // Crop center to 1080x1370px (removes 275px from top and bottom of 1080x1920 video)
-app.post("/crop-to-1370", rawUpload, async (req, res) => {
+operation("crop-to-1370", videoUpload, async (input, job) => {
+  const parts = videoParts(input);
+  if (!parts.video) throw new HttpError(400, "No video file in body");
+  // This route has always kept the soundtrack
+  const enc = encodingSettings(input.query, { audio: "keep" });
+
+  console.log(`Cropping to 1080x1370px, input size: ${parts.video.length} bytes`);
+
+  const src = await videoSources(parts, enc);
+  const outFile = join(tmpdir(), `cropped-1370-${Date.now()}${enc.ext}`);
+
+  // First scale to 1080x1920, THEN crop to 1080x1370
+  // This ensures any input size works
   try {
-    if (!req.body?.length) return res.status(400).json({ error: "No video file in body" });
-    
-    console.log(`Cropping to 1080x1370px, input size: ${req.body.length} bytes`);
-    
-    const { dir, file } = await bufferToTemp(req.body);
-    const outFile = join(tmpdir(), `cropped-1370-${Date.now()}.mp4`);
-    
-    // First scale to 1080x1920, THEN crop to 1080x1370
-    // This ensures any input size works
     await sh("ffmpeg", [
       "-y",
-      "-i", file,
-      "-vf", "scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,crop=1080:1370:0:275",
-      "-c:v", "libx264", "-preset", "ultrafast", "-crf", "18",
-      "-pix_fmt", "yuv420p", "-movflags", "+faststart",
-      "-avoid_negative_ts", "make_zero",
-      "-threads", "4",
-      "-c:a", "copy",
+      "-i", src.file,
+      ...(src.audioFile ? ["-i", src.audioFile] : []),
+      "-vf", ["scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,crop=1080:1370:0:275", ...outputFilters(enc)].join(","),
+      ...streamArgs(enc, { hasAudio: Boolean(src.info.audio) }),
+      // The soundtrack is untouched here, so it is copied whenever the container allows
+      ...encodeArgs(enc, { sourceAudio: src.info.audio }),
       outFile
-    ]);
-    
-    console.log("Cropping complete - output is 1080x1370px");
-    
-    res.setHeader("Content-Type", "video/mp4");
-    res.setHeader("Content-Disposition", 'attachment; filename="cropped-1080x1370.mp4"');
-    res.sendFile(outFile, async (err) => {
-      if (err) console.error("Send file error:", err);
-      await fs.rm(dir, { recursive: true, force: true });
-      console.log("Cleanup complete");
-    });
-    
+    ], { duration: src.info.duration, onProgress: job.span(0, 100) });
   } catch (e) {
-    console.error("Error cropping video:", e);
-    res.status(500).json({ error: String(e.message || e) });
+    await rmrf(...src.dirs, outFile);
+    throw e;
   }
+
+  console.log("Cropping complete - output is 1080x1370px");
+
+  return { file: outFile, type: enc.type, filename: outputName("cropped-1080x1370.mp4", enc), cleanup: () => rmrf(...src.dirs, outFile) };
 });
 
-// Place a cropped video onto a 1080x1920 PNG template - OPTIMIZED VERSION
-app.post("/place-on-template",
-  upload.fields([{ name: "template" }, { name: "video" }]),
-  async (req, res) => {
-    try {
-      const top = Number(req.query.top ?? NaN);
-      const bottom = Number(req.query.bottom ?? 0);
-      
+// Scale a template image onto the layout's canvas (alpha kept)
+async function normalizeTemplate(src, out, layout) {
+  await sh("ffmpeg", ["-y", "-i", src, "-vf", templateFilter(layout), "-frames:v", "1", out]);
+}
+
+// Place videos onto a template (a PNG, or an animated GIF/APNG/MP4/WebM): a JSON 'layout'
+// (lib/layout.js) describes the canvas and its slots; without one, ?top=&bottom= place a
+// single video on a 1080x1920 canvas.
+// ?templateId= uses a stored template (see /templates) and its layout instead of uploads.
+operation("place-on-template",
+  upload.fields([
+    { name: "template", maxCount: 1 },
+    { name: "video", maxCount: 8 },
+    { name: "audio", maxCount: 1 },
+    { name: "layout", maxCount: 1 }
+  ]),
+  async ({ files, fields, query }, job) => {
+    const templateId = query.templateId ?? fields?.templateId;
+    const stored = templateId === undefined ? null : await getTemplate(templateId);
+    if (templateId !== undefined && !stored) throw new HttpError(404, "Template not found");
+    if ((!stored && !files?.template?.[0]) || !files?.video?.[0]) {
+      throw new HttpError(400, "Send 'template' (image or animation) and 'video' (mp4) as form-data files, or ?templateId= with a 'video'.");
+    }
+
+    // A JSON layout (form field or file, see lib/layout.js), else the original top/bottom
+    // placement, else the stored template's layout
+    const layoutInput = files.layout?.[0]?.buffer ?? fields.layout;
+    let layout;
+    if (layoutInput !== undefined || (stored?.layout && query.top === undefined)) {
+      layout = parseLayout(layoutInput ?? stored.layout);
+      console.log(`Processing request: layout with ${layout.slots.length} slot(s) on ${layout.canvas.width}x${layout.canvas.height}`);
+    } else {
+      const top = Number(query.top ?? NaN);
+      const bottom = Number(query.bottom ?? 0);
       console.log(`Processing request: top=${top}, bottom=${bottom}`);
-      
-      if (!req.files?.template?.[0] || !req.files?.video?.[0]) {
-        return res.status(400).json({ error: "Send 'template' (image) and 'video' (mp4) as form-data files." });
-      }
       if (!Number.isFinite(top) || top < 0 || top > 1800) {
-        return res.status(400).json({ error: "Query param 'top' (pixels) is required and must be reasonable." });
+        throw new HttpError(400, "Query param 'top' (pixels) is required and must be reasonable.");
+      }
+      const safeBottom = Number.isFinite(bottom) && bottom >= 0 ? Math.round(bottom) : 0;
+      if (1920 - top - safeBottom < 2) {
+        throw new HttpError(400, "Invalid top/bottom: no space left for the video.");
+      }
+      layout = legacyLayout(Math.round(top), safeBottom);
+    }
+
+    const needed = slotVideos(layout);
+    for (const i of needed) {
+      if (!files.video[i]) {
+        const slot = layout.slots.find(s => s.video === i);
+        throw new HttpError(400, `Slot "${slot.name}" uses video ${i}, but only ${files.video.length} 'video' file(s) were sent.`);
       }
-      const safeBottom = Number.isFinite(bottom) && bottom >= 0 ? bottom : 0;
+    }
+    const enc = encodingSettings(query, { crf: 23 });
+    if (enc.audio === "replace" && !files.audio?.[0]) {
+      throw new HttpError(400, "audio=replace needs an 'audio' form-data file.");
+    }
 
-      // save inputs
-      const { dir: tDir, file: tFile0 } = await bufferToTempWithExt(req.files.template[0].buffer, ".png");
-      const { dir: vDir, file: vFile }  = await bufferToTempWithExt(req.files.video[0].buffer, ".mp4");
+    // save inputs
+    const { dir: tDir, file: tFile0 } = stored
+      ? { dir: await fs.mkdtemp(join(tmpdir(), "tpl-")), file: await templateSource(stored.id) }
+      : await bufferToTempWithExt(files.template[0].buffer, extname(files.template[0].originalname || "") || ".png");
+    const dirs = [tDir];
+    const videoFiles = new Map();
+    for (const i of needed) {
+      const { dir, file } = await bufferToTempWithExt(files.video[i].buffer, ".mp4");
+      dirs.push(dir);
+      videoFiles.set(i, file);
+    }
+    const { dir: aDir, file: aFile } = enc.audio === "replace" ? await bufferToTempWithExt(files.audio[0].buffer) : {};
+    const outFile = join(tmpdir(), `brand-${Date.now()}${enc.ext}`);
+    const cleanup = () => rmrf(...dirs, aDir, outFile);
 
-      console.log(`Files saved: template=${tFile0}, video=${vFile}`);
+    console.log(`Files saved: template=${tFile0}, videos=${[...videoFiles.values()].join(", ")}`);
 
-      // Get video duration
-      const { stdout: durOut } = await sh("ffprobe", [
-        "-v", "error",
-        "-show_entries", "format=duration",
-        "-of", "default=nk=1:nw=1",
-        vFile
-      ]);
-      const videoDuration = parseFloat(durOut || "0");
+    try {
+      // Validate every input; the first video used sets the duration and carries the audio
+      const templateInfo = await probeInput(tFile0, "video", "template");
+      const animated = isAnimated(templateInfo);
+      const infos = new Map();
+      for (const [i, file] of videoFiles) infos.set(i, await probeInput(file, "video", `video ${i}`));
+      if (aFile) await probeInput(aFile, "audio", "audio");
+      const primary = needed[0];
+      const videoInfo = infos.get(primary);
+      const videoDuration = videoInfo.duration || 0;
       console.log(`Video duration: ${videoDuration}s`);
 
       if (videoDuration <= 0) {
         throw new Error("Could not determine video duration");
       }
 
-      // Normalize template to exact 1080x1920
-      const tFile = join(tDir, "template_1080x1920.png");
-      await sh("ffmpeg", [
-        "-y", "-i", tFile0,
-        "-vf", "scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(1080-iw)/2:(1920-ih)/2:color=black",
-        "-frames:v", "1",
-        tFile
-      ]);
+      const { width: cw, height: ch } = layout.canvas;
 
-      // Calculate available space
-      const availH = 1920 - top - safeBottom;
-      console.log(`Available height: ${availH}px`);
-      
-      if (availH <= 0) {
-        return res.status(400).json({ error: "Invalid top/bottom: no space left for the video." });
+      // Normalize a still template to the canvas size (alpha kept); stored templates keep
+      // one render per canvas size and fit, copied here so a concurrent update can't pull it
+      // away. Animated templates are scaled frame by frame in the composite itself.
+      let tFile = join(tDir, `template_${cw}x${ch}.png`);
+      if (animated) {
+        if (stored) {
+          tFile = join(tDir, "template_src");
+          await fs.copyFile(tFile0, tFile);
+        } else {
+          tFile = tFile0;
+        }
+        console.log(`Animated template: ${templateInfo.container}, ${templateInfo.duration}s, ${layout.template.playback}`);
+      } else if (stored) {
+        const variant = `${cw}x${ch}-${layout.template.fit}`;
+        const { file, cached } = await cachedTemplate(stored.id, variant, (src, out) => normalizeTemplate(src, out, layout));
+        console.log(`Template ${stored.id} ${variant}: ${cached ? "cached" : "rendered"}`);
+        await fs.copyFile(file, tFile);
+      } else {
+        await normalizeTemplate(tFile0, tFile, layout);
       }
 
-      // Create template video background with optimizations
-      console.log("Creating template background...");
-      const templateVideo = join(tDir, "template_bg.mp4");
-      await sh("ffmpeg", [
-        "-y",
-        "-loop", "1", "-i", tFile,
-        "-t", String(videoDuration),
-        "-r", "30",
-        "-c:v", "libx264", "-preset", "ultrafast", "-crf", "23",
-        "-pix_fmt", "yuv420p",
-        "-avoid_negative_ts", "make_zero", // Added timestamp fix
-        "-threads", "4", // Added thread limit
-        templateVideo
-      ]);
+      // Rounded-corner masks and border plates, rendered once as stills
+      const stills = [];
+      const decorations = new Map();
+      for (const slot of layout.slots) {
+        const { mask, border } = slotDecorations(slot, infos.get(slot.video));
+        const entry = {};
+        for (const [kind, source] of Object.entries({ mask, border })) {
+          if (!source) continue;
+          const file = join(tDir, `${kind}_${slot.order}.png`);
+          await sh("ffmpeg", ["-y", "-f", "lavfi", "-i", source, "-frames:v", "1", file]);
+          entry[kind] = stills.push(file) - 1;
+        }
+        decorations.set(slot, entry);
+      }
+      job.progress(10);
 
-      // Final composition with optimizations
+      // One pass: canvas colour, slots and the looped template stacked in a single graph
       console.log("Final composition...");
-      const outFile = join(tmpdir(), `brand-${Date.now()}.mp4`);
-      
-      await sh("ffmpeg", [
-        "-y",
-        "-i", templateVideo,  // Template background
-        "-i", vFile,          // Input video
-        "-filter_complex", `[1:v]scale=1080:${availH}:force_original_aspect_ratio=decrease[scaled];[0:v][scaled]overlay=0:${top}`,
-        "-c:v", "libx264", "-preset", "ultrafast", "-crf", "23",
-        "-pix_fmt", "yuv420p",
-        "-t", String(videoDuration),
-        "-avoid_negative_ts", "make_zero", // Added timestamp fix
-        "-threads", "4", // Added thread limit
-        "-an",
-        outFile
-      ]);
-
-      console.log("Processing complete!");
-
-      res.setHeader("Content-Type", "video/mp4");
-      res.setHeader("Content-Disposition", 'attachment; filename="branded.mp4"');
-      res.sendFile(outFile, async (err) => {
-        if (err) console.error("Send file error:", err);
-        await fs.rm(tDir, { recursive: true, force: true });
-        await fs.rm(vDir, { recursive: true, force: true });
-        console.log("Cleanup complete");
-      });
-      
+      await sh("ffmpeg", compositeArgs(layout, {
+        videos: videoFiles,
+        infos,
+        audio: aFile || null,
+        stills,
+        decorations,
+        template: { file: tFile, info: templateInfo, animated }
+      }, enc, { duration: videoDuration, output: outFile }), { duration: videoDuration, onProgress: job.span(10, 100) });
     } catch (e) {
       console.error("Error in place-on-template:", e);
-      console.error("Stack:", e.stack);
-      res.status(500).json({ error: String(e.message || e) });
+      await cleanup();
+      throw e;
     }
+
+    console.log("Processing complete!");
+
+    return { file: outFile, type: enc.type, filename: outputName("branded.mp4", enc), cleanup };
   }
 );
 
@@ -385,13 +635,7 @@ app.post("/place-on-template-debug",
       console.log("Test 4: Overlay on black background...");
       
       // Get duration first
-      const { stdout: durOut } = await sh("ffprobe", [
-        "-v", "error",
-        "-show_entries", "format=duration",
-        "-of", "default=nk=1:nw=1",
-        vFile
-      ]);
-      const duration = parseFloat(durOut || "5");
+      const duration = (await probe(vFile)).duration || 5;
       console.log(`Duration: ${duration}s`);
       
       await sh("ffmpeg", [
@@ -424,638 +668,315 @@ app.post("/place-on-template-debug",
   }
 );
 
-// Canvas-based text rendering with actual colored emoji images
-app.post("/add-text-canvas", rawUpload, async (req, res) => {
+// Canvas-based text rendering with actual colored emoji images. A raw image body with
+// ?text= (and ?top=), or form-data with an 'image' file and 'text' field; either way an
+// optional JSON 'style' (lib/text.js) sets the font, colours, box, alignment and auto-fit.
+operation("add-text-canvas", imageUpload, async ({ body, file: imageFile, fields, query }) => {
+  // A raw body, or a finished upload / fetched ?source= (UploadedFile); not parsed JSON
+  const image = imageFile?.buffer ?? (Buffer.isBuffer(body) || body instanceof UploadedFile ? body : null);
+  if (!image?.length) throw new HttpError(400, "No image file in body");
+  
+  const text = query.text ?? fields.text ?? "";
+  const top = Number(query.top || 300);
+  
+  if (!text.trim()) {
+    throw new HttpError(400, "Query param 'text' is required");
+  }
+  
+  console.log(`Canvas: Adding text "${text}" at top: ${top}px`);
+  
+  // Save input image
+  const { dir, file } = await mediaToTemp(image, "video", ".png", "image");
+  
   try {
-    if (!req.body?.length) return res.status(400).json({ error: "No image file in body" });
-    
-    const text = req.query.text || "";
-    const top = Number(req.query.top || 300);
-    
-    if (!text.trim()) {
-      return res.status(400).json({ error: "Query param 'text' is required" });
-    }
-    
-    console.log(`Canvas: Adding text "${text}" at top: ${top}px`);
-    
-    // Save input image
-    const { dir, file } = await bufferToTempWithExt(req.body, ".png");
-    
     // Load the background image
     const backgroundImage = await loadImage(file);
+    const style = parseTextStyle(query.style ?? fields.style, { width: backgroundImage.width, height: backgroundImage.height, top });
     const canvas = createCanvas(backgroundImage.width, backgroundImage.height);
     const ctx = canvas.getContext('2d');
     
     // Draw background image
     ctx.drawImage(backgroundImage, 0, 0);
     
-    // Configure text styling
-    const fontSize = 44;
-    const emojiSize = 48; // Slightly larger than text for visibility
-    const padding = 80;
-    const maxWidth = canvas.width - (padding * 2);
-    const lineHeight = 56;
-    
-    // Register fonts
-    try {
-      registerFont('/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf', { family: 'DejaVu Sans', weight: 'bold' });
-    } catch (e) {
-      console.log("Font registration failed, using default");
-    }
-    
-    // Set font properties
-    ctx.font = `bold ${fontSize}px "DejaVu Sans", sans-serif`;
-    ctx.fillStyle = 'white';
-    ctx.textBaseline = 'top';
-    
-    // Function to get Twemoji URL for emoji
-    function getEmojiUrl(emoji) {
-      const codePoint = emoji.codePointAt(0).toString(16);
-      return `https://cdn.jsdelivr.net/gh/twitter/twemoji@14.0.2/assets/72x72/${codePoint}.png`;
-    }
-    
-    // Function to detect emojis in text
-    function parseTextWithEmojis(text) {
-      const emojiRegex = /(\p{Emoji_Presentation}|\p{Emoji}\uFE0F)/gu;
-      const parts = [];
-      let lastIndex = 0;
-      let match;
-      
-      while ((match = emojiRegex.exec(text)) !== null) {
-        // Add text before emoji
-        if (match.index > lastIndex) {
-          parts.push({
-            type: 'text',
-            content: text.slice(lastIndex, match.index)
-          });
-        }
-        
-        // Add emoji
-        parts.push({
-          type: 'emoji',
-          content: match[0],
-          url: getEmojiUrl(match[0])
-        });
-        
-        lastIndex = emojiRegex.lastIndex;
-      }
-      
-      // Add remaining text
-      if (lastIndex < text.length) {
-        parts.push({
-          type: 'text',
-          content: text.slice(lastIndex)
-        });
-      }
-      
-      return parts;
-    }
-    
-    // Function to measure text width including emojis
-    function measureTextWithEmojis(parts) {
-      let width = 0;
-      for (const part of parts) {
-        if (part.type === 'text') {
-          width += ctx.measureText(part.content).width;
-        } else if (part.type === 'emoji') {
-          width += emojiSize; // Approximate emoji width
-        }
-      }
-      return width;
-    }
-    
-    // Word wrapping with emoji support
-    function wrapTextWithEmojis(text, maxWidth) {
-      const words = text.split(' ');
-      const lines = [];
-      let currentLine = '';
-      
-      for (const word of words) {
-        const testLine = currentLine ? `${currentLine} ${word}` : word;
-        const parts = parseTextWithEmojis(testLine);
-        const width = measureTextWithEmojis(parts);
-        
-        if (width <= maxWidth) {
-          currentLine = testLine;
-        } else {
-          if (currentLine) {
-            lines.push(currentLine);
-            currentLine = word;
-          } else {
-            lines.push(word);
-          }
-        }
-      }
-      if (currentLine) {
-        lines.push(currentLine);
-      }
-      return lines;
-    }
-    
-    // Function to render a line with emojis
-    async function renderLineWithEmojis(line, x, y) {
-      const parts = parseTextWithEmojis(line);
-      let currentX = x;
-      
-      for (const part of parts) {
-        if (part.type === 'text') {
-          ctx.fillText(part.content, currentX, y);
-          currentX += ctx.measureText(part.content).width;
-        } else if (part.type === 'emoji') {
-          try {
-            // Download and draw emoji image
-            const emojiImage = await loadImage(part.url);
-            ctx.drawImage(emojiImage, currentX, y - 4, emojiSize, emojiSize);
-            currentX += emojiSize;
-          } catch (emojiError) {
-            console.log(`Failed to load emoji ${part.content}, using fallback`);
-            // Fallback: draw the emoji character
-            ctx.fillText(part.content, currentX, y);
-            currentX += ctx.measureText(part.content).width;
-          }
-        }
-      }
-    }
-    
-    // Wrap text and render each line
-    const lines = wrapTextWithEmojis(text, maxWidth);
-    console.log(`Canvas: Wrapped into ${lines.length} lines`);
-    
-    for (let i = 0; i < lines.length; i++) {
-      const y = top + (i * lineHeight);
-      await renderLineWithEmojis(lines[i], padding, y);
-    }
-    
-    // Convert canvas to buffer
-    const buffer = canvas.toBuffer('image/png');
-    
-    // Clean up
-    await fs.rm(dir, { recursive: true, force: true });
+    // Wrap (shrinking the font when auto-fitting) and render each line
+    const layout = layoutText(ctx, text, style);
+    console.log(`Canvas: Wrapped into ${layout.lines.length} lines at ${layout.size}px${layout.fits ? "" : " (overflowing)"}`);
+    await drawText(ctx, layout, style, loadImage);
     
     console.log("Canvas text rendering with colored emojis complete");
     
-    res.setHeader("Content-Type", "image/png");
-    res.setHeader("Content-Disposition", 'attachment; filename="canvas-text-overlay.png"');
-    res.send(buffer);
-    
+    return {
+      buffer: canvas.toBuffer('image/png'),
+      type: "image/png",
+      filename: "canvas-text-overlay.png",
+      headers: { "X-Font-Size": String(layout.size), "X-Text-Fits": String(layout.fits) }
+    };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Font families /add-text-canvas can use (DejaVu plus FONTS_DIR, see lib/text.js)
+app.get("/fonts", (_, res) => res.json({ fonts: fontFamilies() }));
+
+// Unified video manipulation endpoint: one or more effects composed into a single encode.
+// ?effect=zoom&effect=bars-top:thickness=3,color=white, or a JSON `pipeline`
+// (query param, form-data field or JSON body): [{ "effect": "zoom", "factor": 1.1 }, "mirror"]
+operation("manipulate-video", videoUpload, async (input, job) => {
+  const parts = videoParts(input);
+  if (!parts.video) throw new HttpError(400, "No video file in body");
+  
+  const { query } = input;
+  const steps = parsePipeline({ pipeline: query.pipeline ?? input.fields.pipeline, effect: query.effect });
+  
+  const enc = encodingSettings(query);
+  const { vf, tempo } = compilePipeline(steps);
+  const names = steps.map(s => s.effect).join("+");
+
+  console.log(`Applying effects: ${names}`);
+  
+  const src = await videoSources(parts, enc);
+  const outFile = join(tmpdir(), `manipulated-${Date.now()}${enc.ext}`);
+  
+  const ffmpegArgs = [
+    "-y", "-i", src.file,
+    ...(src.audioFile ? ["-i", src.audioFile] : []),
+    "-vf", [vf, ...outputFilters(enc)].join(","),
+    ...streamArgs(enc, { hasAudio: Boolean(src.info.audio), tempo }),
+    ...encodeArgs(enc),
+    outFile
+  ];
+  
+  // Progress is measured against the output timeline, which speed/slow stretch
+  try {
+    await sh("ffmpeg", ffmpegArgs, { duration: src.info.duration && src.info.duration / tempo, onProgress: job.span(0, 100) });
   } catch (e) {
-    console.error("Error in canvas text rendering:", e);
-    res.status(500).json({ error: String(e.message || e) });
+    await rmrf(...src.dirs, outFile);
+    throw e;
   }
+  
+  console.log(`Effects ${names} applied successfully`);
+  
+  return { file: outFile, type: enc.type, filename: `${names}-manipulated${enc.ext}`, cleanup: () => rmrf(...src.dirs, outFile) };
 });
 
-// Unified video manipulation endpoint
-app.post("/manipulate-video", rawUpload, async (req, res) => {
+// Merge Instagram audio with uploaded video; ?normalize= and ?trimSilence= master the
+// downloaded track first (lib/loudness.js)
+operation("merge-instagram-audio", rawUpload, async ({ body, query }, job) => {
+  if (!body?.length) throw new HttpError(400, "No video file in body");
+  const mastering = masteringOptions(query);
+  const normalize = mastering.segments || mastering.mix;
+  
+  const instagramUrl = query.url;
+  if (!instagramUrl) {
+    throw new HttpError(400, "Instagram URL required as 'url' query parameter");
+  }
+  
+  console.log(`Merging Instagram audio from: ${instagramUrl}`);
+  console.log(`Video size: ${body.length} bytes`);
+  
+  // Save input video
+  const { dir: videoDir, file: videoFile, info } = await mediaToTemp(body, "video");
+  
+  // Create temp directory for audio download
+  const audioDir = await fs.mkdtemp(join(tmpdir(), "instagram-audio-"));
+  const audioFile = join(audioDir, "audio.%(ext)s");
+  
   try {
-    if (!req.body?.length) return res.status(400).json({ error: "No video file in body" });
+    // Step 1: Download audio from Instagram reel using yt-dlp
+    console.log("Downloading Instagram audio...");
+    await sh("yt-dlp", [
+      "--extract-audio",
+      "--audio-format", "mp3",
+      "--audio-quality", "0", // Best quality
+      "-o", audioFile,
+      instagramUrl
+    ]);
     
-    const effect = req.query.effect;
-    const validEffects = ['zoom', 'speed', 'slow', 'mirror', 'crop-top', 'crop-bottom', 'crop-sides', 'bars-horizontal', 'bars-vertical', 'bars-top'];
+    // Find the downloaded audio file (yt-dlp adds extension)
+    const audioFiles = await fs.readdir(audioDir);
+    const downloadedAudio = audioFiles.find(f => f.startsWith('audio.'));
     
-    if (!effect || !validEffects.includes(effect)) {
-      return res.status(400).json({ 
-        error: `Invalid effect. Must be one of: ${validEffects.join(', ')}` 
-      });
+    if (!downloadedAudio) {
+      throw new Error("Failed to download audio from Instagram URL");
     }
     
-    console.log(`Applying effect: ${effect}`);
+    const actualAudioFile = join(audioDir, downloadedAudio);
+    console.log(`Audio downloaded: ${downloadedAudio}`);
+    job.progress(50);
     
-    const { dir, file } = await bufferToTemp(req.body);
-    const outFile = join(tmpdir(), `manipulated-${Date.now()}-${effect}.mp4`);
+    // Step 2: Merge video with Instagram audio using FFmpeg
+    console.log("Merging video with Instagram audio...");
+    const outFile = join(tmpdir(), `merged-${Date.now()}.mp4`);
+    const trim = mastering.trim && silenceTrimFilter(mastering.trim);
     
-    let ffmpegArgs = ["-y", "-i", file];
+    // Normalizing measures the downloaded track on its own before the real merge
+    const merge = (chain, measuring) => measuring
+      ? sh("ffmpeg", ["-i", actualAudioFile, "-vn", "-af", chain, "-f", "null", "-"])
+      : sh("ffmpeg", [
+        "-y",
+        "-i", videoFile,        // Input video (silent)
+        "-i", actualAudioFile,  // Input audio from Instagram
+        "-c:v", "copy",         // Copy video stream without re-encoding
+        ...(chain ? ["-af", chain] : []),
+        "-c:a", "aac",          // Encode audio as AAC
+        "-map", "0:v:0",        // Map video from first input
+        "-map", "1:a:0",        // Map audio from second input
+        "-shortest",            // Stop at shortest stream length
+        "-avoid_negative_ts", "make_zero",
+        "-threads", "4",
+        outFile
+      ], { duration: info.duration, onProgress: job.span(normalize ? 60 : 50, 100) });
     
-    // Apply the specific effect
-    switch (effect) {
-      case 'zoom':
-        // 5% zoom in (scale up and crop center)
-        ffmpegArgs.push(
-          "-vf", "scale=iw*1.05:ih*1.05,crop=iw/1.05:ih/1.05:(iw-iw/1.05)/2:(ih-ih/1.05)/2"
-        );
-        break;
-        
-      case 'speed':
-        // 5% speed up
-        ffmpegArgs.push("-vf", "setpts=PTS/1.05");
-        break;
-        
-      case 'slow':
-        // 5% slow down
-        ffmpegArgs.push("-vf", "setpts=PTS*1.05");
-        break;
-        
-      case 'mirror':
-        // Horizontal flip
-        ffmpegArgs.push("-vf", "hflip");
-        break;
-        
-      case 'crop-top':
-        // Crop 5% from top
-        ffmpegArgs.push("-vf", "crop=iw:ih*0.95:0:ih*0.05");
-        break;
-        
-      case 'crop-bottom':
-        // Crop 5% from bottom
-        ffmpegArgs.push("-vf", "crop=iw:ih*0.95:0:0");
-        break;
-        
-      case 'crop-sides':
-        // Crop 2% from each side (4% total width reduction)
-        ffmpegArgs.push("-vf", "crop=iw*0.96:ih:iw*0.02:0");
-        break;
-        
-      case 'bars-horizontal':
-        // Add thin black bars top and bottom (2% each)
-        ffmpegArgs.push("-vf", "pad=iw:ih*1.04:0:ih*0.02:black");
-        break;
-        
-      case 'bars-vertical':
-        // Add thin black bars left and right (2% each)
-        ffmpegArgs.push("-vf", "pad=iw*1.04:ih:iw*0.02:0:black");
-        break;
-        
-      case 'bars-top':
-        // Add thin black bar top only (2%)
-        ffmpegArgs.push("-vf", "pad=iw:ih*1.02:0:ih*0.02:black");
-        break;
+    let loudness = null;
+    if (normalize) {
+      loudness = await twoPassLoudnorm((chain, measuring) => merge([trim, chain].filter(Boolean).join(","), measuring), mastering.target, 48000);
+    } else {
+      await merge(trim, false);
     }
     
-    // Add encoding settings with optimizations
-    ffmpegArgs.push(
-      "-c:v", "libx264", "-preset", "ultrafast", "-crf", "18",
-      "-pix_fmt", "yuv420p", "-movflags", "+faststart",
-      "-avoid_negative_ts", "make_zero",
-      "-threads", "4",
-      "-an", // Remove audio
-      outFile
-    );
-    
-    await sh("ffmpeg", ffmpegArgs);
-    
-    console.log(`Effect ${effect} applied successfully`);
+    console.log("Audio merge complete");
     
-    res.setHeader("Content-Type", "video/mp4");
-    res.setHeader("Content-Disposition", `attachment; filename="${effect}-manipulated.mp4"`);
-    res.sendFile(outFile, async (err) => {
-      if (err) console.error("Send file error:", err);
-      await fs.rm(dir, { recursive: true, force: true });
-      console.log("Cleanup complete");
-    });
+    return {
+      file: outFile,
+      type: "video/mp4",
+      filename: "video-with-instagram-audio.mp4",
+      headers: loudness ? loudnessHeader(loudness) : undefined,
+      cleanup: () => rmrf(videoDir, audioDir, outFile)
+    };
     
-  } catch (e) {
-    console.error("Error in video manipulation:", e);
-    res.status(500).json({ error: String(e.message || e) });
+  } catch (downloadError) {
+    console.error("Download/merge error:", downloadError);
+    // Cleanup on error
+    await rmrf(videoDir, audioDir);
+    throw downloadError;
   }
 });
 
-// Store video and return clean URL
-app.post("/store-video", rawUpload, async (req, res) => {
-  try {
-    if (!req.body?.length) return res.status(400).json({ error: "No video file in body" });
-    
-    console.log(`Storing video, size: ${req.body.length} bytes`);
-    
-    // Generate unique filename
-    const videoId = `video_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const videoPath = join(tmpdir(), `${videoId}.mp4`);
-    
-    // Store the video file
-    await fs.writeFile(videoPath, req.body);
-    
-    // Return clean URL
-    const videoUrl = `https://ffmpeg-crop-api-production.up.railway.app/get-video/${videoId}`;
-    
-    console.log(`Video stored with ID: ${videoId}`);
-    
-    res.json({
-      success: true,
-      videoUrl: videoUrl,
-      videoId: videoId,
-      fileSize: req.body.length
-    });
-    
-  } catch (e) {
-    console.error("Error storing video:", e);
-    res.status(500).json({ error: String(e.message || e) });
+// Trim and/or loudness-normalize one track into a WAV at the output's rate and layout.
+// Resolves to its loudness report, or null when it was only trimmed.
+async function masterTrack(file, out, mastering, { sampleRate, layout }) {
+  const pre = [mastering.trim && silenceTrimFilter(mastering.trim), `aformat=channel_layouts=${layout}`].filter(Boolean);
+  const render = (chain, measuring) => sh("ffmpeg", [
+    "-i", file,
+    "-vn",
+    "-af", [...pre, chain].join(","),
+    ...(measuring ? ["-f", "null", "-"] : ["-c:a", "pcm_s16le", "-y", out])
+  ]);
+  if (!mastering.segments) {
+    await render(`aresample=${sampleRate}`, false);
+    return null;
   }
-});
+  return twoPassLoudnorm(render, mastering.target, sampleRate);
+}
 
-// Serve stored videos
-app.get("/get-video/:videoId", async (req, res) => {
-  try {
-    const videoId = req.params.videoId;
-    const videoPath = join(tmpdir(), `${videoId}.mp4`);
-    
-    // Check if video exists
-    try {
-      await fs.access(videoPath);
-    } catch {
-      return res.status(404).json({ error: "Video not found" });
+// Mix audio tracks ({ file, label } in order) into one file as laid out by lib/sequence.js,
+// in the format/bitrate/sampleRate/channels asked for (mp3 by default), optionally with
+// silence trimmed from each track and loudness normalized per track and/or on the mix
+// (lib/loudness.js). response=json stores the mix and answers with its link, the
+// timestamps of every track and measured loudness instead of the file itself.
+async function sequenceTracks(tracks, params, defaults, { tempDir, job, publish }) {
+  const output = audioOutput(params);
+  const mastering = masteringOptions(params);
+  const prepared = [];
+  for (const [i, { file, label }] of tracks.entries()) {
+    let { duration } = await probeInput(file, "audio", label);
+    let track = { file, label, loudness: null };
+    if (mastering.segments || mastering.trim) {
+      const out = join(tempDir, `segment_${i + 1}.wav`);
+      track = { file: out, label, loudness: await masterTrack(file, out, mastering, output) };
+      ({ duration } = await probe(out));
     }
-    
-    console.log(`Serving video: ${videoId}`);
-    
-    res.setHeader("Content-Type", "video/mp4");
-    res.setHeader("Content-Disposition", 'inline; filename="video.mp4"');
-    res.sendFile(videoPath);
-    
-  } catch (e) {
-    console.error("Error serving video:", e);
-    res.status(500).json({ error: String(e.message || e) });
+    if (!duration) throw new HttpError(415, `Unsupported media: could not read the duration of ${label}`);
+    prepared.push({ ...track, duration });
   }
-});
+  const durations = prepared.map(t => t.duration);
+  const options = sequenceOptions(params, tracks.length, defaults);
+  const plan = sequenceFilter(durations, options, output);
+  console.log(`[sequence] ${tracks.length} tracks -> ${plan.duration}s ${output.format}`);
 
-// Merge Instagram audio with uploaded video
-app.post("/merge-instagram-audio", rawUpload, async (req, res) => {
-  try {
-    if (!req.body?.length) return res.status(400).json({ error: "No video file in body" });
-    
-    const instagramUrl = req.query.url;
-    if (!instagramUrl) {
-      return res.status(400).json({ error: "Instagram URL required as 'url' query parameter" });
-    }
-    
-    console.log(`Merging Instagram audio from: ${instagramUrl}`);
-    console.log(`Video size: ${req.body.length} bytes`);
-    
-    // Save input video
-    const { dir: videoDir, file: videoFile } = await bufferToTemp(req.body);
-    
-    // Create temp directory for audio download
-    const audioDir = await fs.mkdtemp(join(tmpdir(), "instagram-audio-"));
-    const audioFile = join(audioDir, "audio.%(ext)s");
-    
-    try {
-      // Step 1: Download audio from Instagram reel using yt-dlp
-      console.log("Downloading Instagram audio...");
-      await sh("yt-dlp", [
-        "--extract-audio",
-        "--audio-format", "mp3",
-        "--audio-quality", "0", // Best quality
-        "-o", audioFile,
-        instagramUrl
-      ]);
-      
-      // Find the downloaded audio file (yt-dlp adds extension)
-      const audioFiles = await fs.readdir(audioDir);
-      const downloadedAudio = audioFiles.find(f => f.startsWith('audio.'));
-      
-      if (!downloadedAudio) {
-        throw new Error("Failed to download audio from Instagram URL");
-      }
-      
-      const actualAudioFile = join(audioDir, downloadedAudio);
-      console.log(`Audio downloaded: ${downloadedAudio}`);
-      
-      // Step 2: Merge video with Instagram audio using FFmpeg
-      console.log("Merging video with Instagram audio...");
-      const outFile = join(tmpdir(), `merged-${Date.now()}.mp4`);
-      
-      await sh("ffmpeg", [
-        "-y",
-        "-i", videoFile,        // Input video (silent)
-        "-i", actualAudioFile,  // Input audio from Instagram
-        "-c:v", "copy",         // Copy video stream without re-encoding
-        "-c:a", "aac",          // Encode audio as AAC
-        "-map", "0:v:0",        // Map video from first input
-        "-map", "1:a:0",        // Map audio from second input
-        "-shortest",            // Stop at shortest stream length
-        "-avoid_negative_ts", "make_zero",
-        "-threads", "4",
-        outFile
-      ]);
-      
-      console.log("Audio merge complete");
-      
-      res.setHeader("Content-Type", "video/mp4");
-      res.setHeader("Content-Disposition", 'attachment; filename="video-with-instagram-audio.mp4"');
-      res.sendFile(outFile, async (err) => {
-        if (err) console.error("Send file error:", err);
-        // Cleanup
-        await fs.rm(videoDir, { recursive: true, force: true });
-        await fs.rm(audioDir, { recursive: true, force: true });
-        console.log("Cleanup complete");
-      });
-      
-    } catch (downloadError) {
-      console.error("Download/merge error:", downloadError);
-      // Cleanup on error
-      await fs.rm(videoDir, { recursive: true, force: true });
-      await fs.rm(audioDir, { recursive: true, force: true });
-      throw downloadError;
-    }
-    
-  } catch (e) {
-    console.error("Error in Instagram audio merge:", e);
-    res.status(500).json({ error: String(e.message || e) });
+  const filename = `combined_audio${output.ext}`;
+  const outputPath = join(tempDir, filename);
+  // The mix is rendered twice when it is normalized: once to measure, once for real
+  const render = (master, measuring) => sh("ffmpeg", [
+    ...prepared.flatMap(t => ["-i", t.file]),
+    "-filter_complex", sequenceFilter(durations, options, output, master).filter,
+    "-map", "[out]",
+    ...(measuring ? ["-f", "null", "-"] : [...output.args, "-y", outputPath])
+  ], { duration: plan.duration, onProgress: measuring ? job.span(0, 50) : job.span(mastering.mix ? 50 : 0, 100) });
+  const loudness = mastering.mix ? await twoPassLoudnorm(render, mastering.target, output.sampleRate) : null;
+  if (!mastering.mix) await render(null, false);
+
+  const result = {
+    file: outputPath,
+    type: output.type,
+    filename,
+    headers: loudness ? loudnessHeader(loudness) : undefined,
+    cleanup: () => rmrf(tempDir)
+  };
+  const segments = plan.segments.map(s => ({
+    ...s,
+    name: prepared[s.index].label,
+    ...(prepared[s.index].loudness ? { loudness: prepared[s.index].loudness } : {})
+  }));
+  if (params.response !== "json") return result;
+  return {
+    json: { success: true, duration: plan.duration, segments, ...(loudness ? { loudness } : {}), ...(await publish(result)) },
+    cleanup: result.cleanup
+  };
+}
+
+// audio1..audioN (or repeated `audio` fields, kept in upload order), any number of them.
+// Defaults keep the original behaviour: 1s gaps, padded with silence to 170 seconds.
+operation("combine-audio", upload.any(), async ({ files, fields, query, publish }, job) => {
+  const suffix = f => Number(/^audio(\d*)$/.exec(f.fieldname)[1] || 0);
+  const audioFiles = Object.values(files || {})
+    .flat()
+    .filter(f => /^audio\d*$/.test(f.fieldname))
+    .sort((a, b) => suffix(a) - suffix(b));
+  if (!audioFiles.length) {
+    throw new HttpError(400, "No audio files provided", {
+      error: "No audio files provided (send audio1, audio2, ... or repeated audio fields)",
+      receivedFields: Object.values(files || {}).flat().map(f => f.fieldname)
+    });
   }
-});
+  console.log(`[combine-audio] Combining ${audioFiles.length} tracks:`, audioFiles.map(f => f.fieldname).join(", "));
 
-// Single-request endpoint for aggregated audio files
-app.post("/combine-audio", upload.fields([
-  { name: 'audio1', maxCount: 1 },
-  { name: 'audio2', maxCount: 1 },
-  { name: 'audio3', maxCount: 1 },
-  { name: 'audio4', maxCount: 1 },
-  { name: 'audio5', maxCount: 1 },
-  { name: 'audio6', maxCount: 1 }
-]), async (req, res) => {
   const tempDir = await fs.mkdtemp(join(tmpdir(), "audio-combine-"));
-  
   try {
-    console.log("[combine-audio] Starting audio combination process");
-    console.log("[combine-audio] Received fields:", Object.keys(req.files || {}));
-    
-    // Check that all 6 audio files are provided
-    const audioFiles = [];
-    for (let i = 1; i <= 6; i++) {
-      const fieldName = `audio${i}`;
-      if (!req.files || !req.files[fieldName] || !req.files[fieldName][0]) {
-        return res.status(400).json({ 
-          error: `Missing audio file: ${fieldName}`,
-          receivedFields: Object.keys(req.files || {})
-        });
-      }
-      audioFiles.push(req.files[fieldName][0]);
+    const tracks = [];
+    for (const [i, f] of audioFiles.entries()) {
+      // The upload's own extension helps ffmpeg pick a demuxer; the content decides either way
+      const ext = extname(f.originalname || "");
+      const file = join(tempDir, `audio_${i + 1}${/^\.[a-z0-9]{1,5}$/i.test(ext) ? ext : ""}`);
+      await writeInput(file, f.buffer);
+      tracks.push({ file, label: f.fieldname });
     }
-    
-    console.log("[combine-audio] All 6 audio files received");
-    
-    // Save all uploaded files to temp directory and get their durations
-    const savedPaths = [];
-    let totalDuration = 0;
-    
-    for (let i = 0; i < audioFiles.length; i++) {
-      const audioPath = join(tempDir, `audio_${i + 1}.mpga`);
-      await fs.writeFile(audioPath, audioFiles[i].buffer);
-      savedPaths.push(audioPath);
-      
-      // Get duration of this audio file
-      const { stdout: durOut } = await sh("ffprobe", [
-        "-v", "error",
-        "-show_entries", "format=duration",
-        "-of", "default=nk=1:nw=1",
-        audioPath
-      ]);
-      const audioDuration = parseFloat(durOut || "0");
-      totalDuration += audioDuration;
-      
-      console.log(`[combine-audio] Saved audio ${i + 1}, duration: ${audioDuration.toFixed(2)}s`);
-    }
-    
-    // Add duration for 1-second gaps between audios (5 gaps for 6 audios)
-    const gapDuration = 1; // 1 second between each audio
-    const numberOfGaps = 5; // 5 gaps between 6 audios
-    totalDuration += (gapDuration * numberOfGaps);
-    
-    console.log(`[combine-audio] Total content duration: ${totalDuration.toFixed(2)}s`);
-    
-    // Target duration is 2:50 = 170 seconds
-    const targetDuration = 170;
-    const remainingSilence = Math.max(0, targetDuration - totalDuration);
-    
-    console.log(`[combine-audio] Remaining silence needed: ${remainingSilence.toFixed(2)}s`);
-    
-    // Create 1 second silence audio file for gaps
-    const gapSilencePath = join(tempDir, "gap_silence.mp3");
-    await new Promise((resolve, reject) => {
-      const silenceArgs = [
-        "-f", "lavfi",
-        "-i", "anullsrc=r=44100:cl=stereo",
-        "-t", String(gapDuration),
-        "-q:a", "2",
-        "-y",
-        gapSilencePath
-      ];
-      
-      console.log("[combine-audio] Creating gap silence file (1 second)");
-      const silenceProc = spawn("ffmpeg", silenceArgs);
-      
-      silenceProc.on("close", (code) => {
-        if (code === 0) {
-          console.log("[combine-audio] Gap silence file created");
-          resolve();
-        } else {
-          reject(new Error(`Gap silence creation failed with code ${code}`));
-        }
-      });
+    return await sequenceTracks(tracks, { ...fields, ...query }, { gap: 1, duration: 170, fit: "pad" }, {
+      tempDir, job, publish
     });
-    
-    // Create final silence audio file (to reach 2:50)
-    let finalSilencePath = null;
-    if (remainingSilence > 0) {
-      finalSilencePath = join(tempDir, "final_silence.mp3");
-      await new Promise((resolve, reject) => {
-        const silenceArgs = [
-          "-f", "lavfi",
-          "-i", "anullsrc=r=44100:cl=stereo",
-          "-t", String(remainingSilence),
-          "-q:a", "2",
-          "-y",
-          finalSilencePath
-        ];
-        
-        console.log(`[combine-audio] Creating final silence file (${remainingSilence.toFixed(2)} seconds)`);
-        const silenceProc = spawn("ffmpeg", silenceArgs);
-        
-        silenceProc.on("close", (code) => {
-          if (code === 0) {
-            console.log("[combine-audio] Final silence file created");
-            resolve();
-          } else {
-            reject(new Error(`Final silence creation failed with code ${code}`));
-          }
-        });
-      });
-    }
-    
-    // Create concat demuxer file list
-    const concatListPath = join(tempDir, "concat_list.txt");
-    const concatLines = [];
-    
-    // Add audio files with 1-second gaps between them
-    for (let i = 0; i < savedPaths.length; i++) {
-      concatLines.push(`file '${savedPaths[i]}'`);
-      // Add 1-second gap after each audio except the last one
-      if (i < savedPaths.length - 1) {
-        concatLines.push(`file '${gapSilencePath}'`);
-      }
-    }
-    
-    // Add final silence to reach exactly 2:50
-    if (finalSilencePath) {
-      concatLines.push(`file '${finalSilencePath}'`);
-    }
-    
-    await fs.writeFile(concatListPath, concatLines.join("\n"));
-    console.log("[combine-audio] Created concat list with gaps and final silence");
-    
-    // Combine all audio files
-    const outputPath = join(tempDir, "combined_audio.mp3");
-    await new Promise((resolve, reject) => {
-      const combineArgs = [
-        "-f", "concat",
-        "-safe", "0",
-        "-i", concatListPath,
-        "-c", "copy",
-        "-y",
-        outputPath
-      ];
-      
-      console.log("[combine-audio] Combining audio files");
-      const combineProc = spawn("ffmpeg", combineArgs);
-      
-      let stderr = "";
-      combineProc.stderr.on("data", (data) => {
-        stderr += data.toString();
-      });
-      
-      combineProc.on("close", (code) => {
-        if (code === 0) {
-          console.log("[combine-audio] Audio files combined successfully - final duration: 2:50 (170 seconds)");
-          resolve();
-        } else {
-          console.error("[combine-audio] FFmpeg error:", stderr);
-          reject(new Error(`Audio combination failed with code ${code}`));
-        }
-      });
-    });
-    
-    // Send the combined audio file
-    res.setHeader("Content-Type", "audio/mpeg");
-    res.setHeader("Content-Disposition", 'attachment; filename="combined_audio.mp3"');
-    res.sendFile(outputPath, async (err) => {
-      if (err) {
-        console.error("[combine-audio] Error sending file:", err);
-      }
-      // Cleanup temp directory
-      try {
-        await fs.rm(tempDir, { recursive: true, force: true });
-        console.log("[combine-audio] Cleanup completed");
-      } catch (cleanupErr) {
-        console.error("[combine-audio] Cleanup error:", cleanupErr);
-      }
-    });
-    
   } catch (error) {
     console.error("[combine-audio] Error:", error);
-    
-    // Cleanup on error
-    try {
-      await fs.rm(tempDir, { recursive: true, force: true });
-    } catch (cleanupErr) {
-      console.error("[combine-audio] Cleanup error:", cleanupErr);
-    }
-    
-    res.status(500).json({ 
-      error: "Audio combination failed", 
-      details: error.message 
+    await rmrf(tempDir);
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(500, error.message, {
+      error: "Audio combination failed",
+      details: error.message
     });
   }
 });
 
-// Step 1: Upload individual audio parts (alternative two-step approach)
-app.post("/upload-audio-part", upload.single('data'), async (req, res) => {
+// Step 1: Upload individual audio parts (alternative two-step approach).
+// Any number of parts, numbered from 1; re-sending a part number replaces it.
+app.post("/upload-audio-part", (req, res, next) => {
+  spoolUpload.single("data")(req, res, err => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return sendError(res, new HttpError(413, `Audio part too large (max ${Math.round(SESSION_PART_MAX_BYTES / 1024 / 1024)}MB)`));
+    }
+    sendError(res, err);
+  });
+}, async (req, res) => {
   try {
     const { sessionId, part } = req.query;
     
@@ -1071,178 +992,87 @@ app.post("/upload-audio-part", upload.single('data'), async (req, res) => {
       });
     }
     
-    const partNum = parseInt(part);
-    if (isNaN(partNum) || partNum < 1 || partNum > 6) {
-      return res.status(400).json({ 
-        error: "Part must be between 1 and 6" 
-      });
-    }
-    
-    // Initialize session if it doesn't exist
-    if (!audioParts.has(sessionId)) {
-      audioParts.set(sessionId, {});
-    }
-    
-    // Store the audio part
-    const session = audioParts.get(sessionId);
-    session[partNum] = req.file.buffer;
+    const session = await addPart(sessionId, part, {
+      file: req.file.path,
+      size: req.file.size,
+      filename: req.file.originalname
+    });
     
-    console.log(`[upload-audio-part] Stored part ${partNum} for session ${sessionId}`);
-    console.log(`[upload-audio-part] Session now has ${Object.keys(session).length} parts`);
+    console.log(`[upload-audio-part] Stored part ${part} for session ${sessionId}`);
+    console.log(`[upload-audio-part] Session now has ${session.partsReceived} parts`);
     
     res.json({ 
       success: true, 
-      sessionId,
-      part: partNum,
-      partsReceived: Object.keys(session).length,
-      partsNeeded: 6
+      part: Number(part),
+      ...session
     });
     
   } catch (error) {
-    console.error("[upload-audio-part] Error:", error);
-    res.status(500).json({ 
+    if (!(error instanceof HttpError)) console.error("[upload-audio-part] Error:", error);
+    sendError(res, error instanceof HttpError ? error : new HttpError(500, error.message, {
       error: "Failed to upload audio part", 
       details: error.message 
-    });
+    }));
+  } finally {
+    if (req.file) await rmrf(req.file.path);
+  }
+});
+
+// Session status: parts received so far and when the session expires
+app.get("/audio-sessions/:sessionId", async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    res.json(session);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Abort a session and drop its parts
+app.delete("/audio-sessions/:sessionId", async (req, res) => {
+  try {
+    if (!(await deleteSession(req.params.sessionId))) return res.status(404).json({ error: "Session not found" });
+    console.log(`[audio-sessions] Deleted session ${req.params.sessionId}`);
+    res.status(204).end();
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
 // Step 2: Combine all uploaded parts
-app.post("/combine-audio-parts", async (req, res) => {
+operation("combine-audio-parts", noBody, async ({ query, publish }, job) => {
   const tempDir = await fs.mkdtemp(join(tmpdir(), "audio-combine-"));
   
   try {
-    const { sessionId } = req.query;
+    const { sessionId } = query;
     
     if (!sessionId) {
-      return res.status(400).json({ 
-        error: "Missing required query parameter: sessionId" 
-      });
+      throw new HttpError(400, "Missing required query parameter: sessionId");
     }
     
-    if (!audioParts.has(sessionId)) {
-      return res.status(404).json({ 
-        error: "Session not found. Please upload audio parts first." 
-      });
-    }
-    
-    const session = audioParts.get(sessionId);
-    const partsCount = Object.keys(session).length;
-    
-    if (partsCount !== 6) {
-      return res.status(400).json({ 
-        error: `Expected 6 audio parts, but only ${partsCount} were uploaded`,
-        receivedParts: Object.keys(session).map(k => parseInt(k)).sort()
-      });
+    // ?parts=N insists on exactly N parts; without it, whatever arrived (1..N, no holes)
+    let expected;
+    if (query.parts !== undefined) {
+      expected = Number(query.parts);
+      if (!Number.isInteger(expected) || expected < 1) throw new HttpError(400, "'parts' must be a positive whole number");
     }
     
     console.log("[combine-audio-parts] Starting combination for session:", sessionId);
     
-    // Save all parts to temp files
-    const savedPaths = [];
-    for (let i = 1; i <= 6; i++) {
-      if (!session[i]) {
-        return res.status(400).json({ 
-          error: `Missing part ${i}` 
-        });
-      }
-      
-      const audioPath = join(tempDir, `audio_${i}.mpga`);
-      await fs.writeFile(audioPath, session[i]);
-      savedPaths.push(audioPath);
-      console.log(`[combine-audio-parts] Saved part ${i}`);
-    }
-    
-    // Create 1.5 second silence audio file
-    const silencePath = join(tempDir, "silence.mp3");
-    await new Promise((resolve, reject) => {
-      const silenceArgs = [
-        "-f", "lavfi",
-        "-i", "anullsrc=r=44100:cl=stereo",
-        "-t", "1.5",
-        "-q:a", "2",
-        "-y",
-        silencePath
-      ];
-      
-      console.log("[combine-audio-parts] Creating silence file");
-      const silenceProc = spawn("ffmpeg", silenceArgs);
-      
-      silenceProc.on("close", (code) => {
-        if (code === 0) {
-          console.log("[combine-audio-parts] Silence file created");
-          resolve();
-        } else {
-          reject(new Error(`Silence creation failed with code ${code}`));
-        }
-      });
-    });
+    // Copy all parts to temp files
+    const tracks = (await sessionParts(sessionId, tempDir, expected)).map(({ part, file }) => ({ file, label: `part ${part}` }));
+    console.log(`[combine-audio-parts] Copied ${tracks.length} parts`);
     
-    // Create concat demuxer file list
-    const concatListPath = join(tempDir, "concat_list.txt");
-    const concatLines = [];
-    
-    for (let i = 0; i < savedPaths.length; i++) {
-      concatLines.push(`file '${savedPaths[i]}'`);
-      // Add silence between files (but not after the last file)
-      if (i < savedPaths.length - 1) {
-        concatLines.push(`file '${silencePath}'`);
-      }
-    }
-    
-    await fs.writeFile(concatListPath, concatLines.join("\n"));
-    console.log("[combine-audio-parts] Created concat list with silence gaps");
-    
-    // Combine all audio files with silence in between
-    const outputPath = join(tempDir, "combined_audio.mp3");
-    await new Promise((resolve, reject) => {
-      const combineArgs = [
-        "-f", "concat",
-        "-safe", "0",
-        "-i", concatListPath,
-        "-c", "copy",
-        "-y",
-        outputPath
-      ];
-      
-      console.log("[combine-audio-parts] Combining audio files");
-      const combineProc = spawn("ffmpeg", combineArgs);
-      
-      let stderr = "";
-      combineProc.stderr.on("data", (data) => {
-        stderr += data.toString();
-      });
-      
-      combineProc.on("close", (code) => {
-        if (code === 0) {
-          console.log("[combine-audio-parts] Audio files combined successfully");
-          resolve();
-        } else {
-          console.error("[combine-audio-parts] FFmpeg error:", stderr);
-          reject(new Error(`Audio combination failed with code ${code}`));
-        }
-      });
-    });
+    // Same options as /combine-audio; this route has always used 1.5s gaps and no padding
+    const result = await sequenceTracks(tracks, query, { gap: 1.5 }, { tempDir, job, publish });
+    console.log("[combine-audio-parts] Audio files combined successfully");
     
     // Clean up session data
-    audioParts.delete(sessionId);
+    await deleteSession(sessionId);
     console.log("[combine-audio-parts] Cleaned up session:", sessionId);
     
-    // Send the combined audio file
-    res.setHeader("Content-Type", "audio/mpeg");
-    res.setHeader("Content-Disposition", 'attachment; filename="combined_audio.mp3"');
-    res.sendFile(outputPath, async (err) => {
-      if (err) {
-        console.error("[combine-audio-parts] Error sending file:", err);
-      }
-      // Cleanup temp directory
-      try {
-        await fs.rm(tempDir, { recursive: true, force: true });
-        console.log("[combine-audio-parts] Cleanup completed");
-      } catch (cleanupErr) {
-        console.error("[combine-audio-parts] Cleanup error:", cleanupErr);
-      }
-    });
+    return result;
     
   } catch (error) {
     console.error("[combine-audio-parts] Error:", error);
@@ -1254,7 +1084,8 @@ app.post("/combine-audio-parts", async (req, res) => {
       console.error("[combine-audio-parts] Cleanup error:", cleanupErr);
     }
     
-    res.status(500).json({ 
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(500, error.message, { 
       error: "Audio combination failed", 
       details: error.message 
     });
@@ -1262,18 +1093,18 @@ app.post("/combine-audio-parts", async (req, res) => {
 });
 
 // Expand image to 1920x1080 with original image as background
-app.post("/expand-image", rawUpload, async (req, res) => {
+operation("expand-image", rawUpload, async ({ body }) => {
+  if (!body?.length) throw new HttpError(400, "No image file in body");
+  
+  console.log(`Expanding image to 1920x1080, input size: ${body.length} bytes`);
+  
+  // Save input image
+  const { dir, file } = await mediaToTemp(body, "video", ".jpg", "image");
+  const bgFile = join(dir, "background.jpg");
+  const fgFile = join(dir, "foreground.jpg");
+  const outFile = join(tmpdir(), `expanded-${Date.now()}.jpg`);
+  
   try {
-    if (!req.body?.length) return res.status(400).json({ error: "No image file in body" });
-    
-    console.log(`Expanding image to 1920x1080, input size: ${req.body.length} bytes`);
-    
-    // Save input image
-    const { dir, file } = await bufferToTempWithExt(req.body, ".jpg");
-    const bgFile = join(dir, "background.jpg");
-    const fgFile = join(dir, "foreground.jpg");
-    const outFile = join(tmpdir(), `expanded-${Date.now()}.jpg`);
-    
     console.log("Step 1: Creating background (scale to fill 1920x1080)");
     // Step 1: Create background - scale original to fill entire 1920x1080 (will crop if needed)
     await sh("ffmpeg", [
@@ -1284,7 +1115,7 @@ app.post("/expand-image", rawUpload, async (req, res) => {
       "-threads", "2",
       bgFile
     ]);
-    
+
     console.log("Step 2: Creating foreground (scale to fit within 1920x1080)");
     // Step 2: Create foreground - scale to fit within 1920x1080 maintaining aspect ratio
     await sh("ffmpeg", [
@@ -1295,7 +1126,7 @@ app.post("/expand-image", rawUpload, async (req, res) => {
       "-threads", "2",
       fgFile
     ]);
-    
+
     console.log("Step 3: Compositing images");
     // Step 3: Overlay centered foreground on background
     await sh("ffmpeg", [
@@ -1307,39 +1138,36 @@ app.post("/expand-image", rawUpload, async (req, res) => {
       "-threads", "2",
       outFile
     ]);
-    
-    console.log("Image expansion complete");
-    
-    res.setHeader("Content-Type", "image/jpeg");
-    res.setHeader("Content-Disposition", 'attachment; filename="expanded-1920x1080.jpg"');
-    res.sendFile(outFile, async (err) => {
-      if (err) console.error("Send file error:", err);
-      await fs.rm(dir, { recursive: true, force: true });
-      console.log("Cleanup complete");
-    });
-    
   } catch (e) {
-    console.error("Error expanding image:", e);
-    res.status(500).json({ error: String(e.message || e) });
+    await rmrf(dir, outFile);
+    throw e;
   }
+  
+  console.log("Image expansion complete");
+  
+  return { file: outFile, type: "image/jpeg", filename: "expanded-1920x1080.jpg", cleanup: () => rmrf(dir, outFile) };
 });
 
-// Extract audio from MP4 video as MP3
-app.post("/extract-audio", rawUpload, async (req, res) => {
-  try {
-    if (!req.body?.length) return res.status(400).json({ error: "No video file in body" });
-    
-    console.log(`Extracting audio from video, input size: ${req.body.length} bytes`);
-    
-    // Save input video
-    const { dir, file } = await bufferToTemp(req.body);
-    const outFile = join(tmpdir(), `extracted-audio-${Date.now()}.mp3`);
-    
-    // Extract audio using FFmpeg
-    await sh("ffmpeg", [
-      "-y",
-      "-i", file,           // Input video file
-      "-vn",                // Disable video stream
+// Extract audio from MP4 video as MP3; ?normalize= and ?trimSilence= master it (lib/loudness.js)
+operation("extract-audio", rawUpload, async ({ body, query }, job) => {
+  if (!body?.length) throw new HttpError(400, "No video file in body");
+  const mastering = masteringOptions(query);
+  const normalize = mastering.segments || mastering.mix;
+  
+  console.log(`Extracting audio from video, input size: ${body.length} bytes`);
+  
+  // Save input video (it must actually carry sound)
+  const { dir, file, info } = await mediaToTemp(body, "audio");
+  const outFile = join(tmpdir(), `extracted-audio-${Date.now()}.mp3`);
+  const trim = mastering.trim && silenceTrimFilter(mastering.trim);
+  
+  // Extract audio using FFmpeg (twice when normalizing: measure, then encode)
+  const encode = (chain, measuring) => sh("ffmpeg", [
+    "-y",
+    "-i", file,           // Input video file
+    "-vn",                // Disable video stream
+    ...(chain ? ["-af", chain] : []),
+    ...(measuring ? ["-f", "null", "-"] : [
       "-acodec", "libmp3lame", // Use MP3 encoder
       "-ab", "192k",        // Audio bitrate 192kbps (good quality)
       "-ar", "44100",       // Sample rate 44.1kHz
@@ -1347,27 +1175,35 @@ app.post("/extract-audio", rawUpload, async (req, res) => {
       "-avoid_negative_ts", "make_zero",
       "-threads", "4",
       outFile
-    ]);
-    
-    console.log("Audio extraction complete");
-    
-    res.setHeader("Content-Type", "audio/mpeg");
-    res.setHeader("Content-Disposition", 'attachment; filename="extracted-audio.mp3"');
-    res.sendFile(outFile, async (err) => {
-      if (err) console.error("Send file error:", err);
-      await fs.rm(dir, { recursive: true, force: true });
-      console.log("Cleanup complete");
-    });
-    
+    ])
+  ], { duration: info.duration, onProgress: measuring ? job.span(0, 50) : job.span(normalize ? 50 : 0, 100) });
+  
+  let loudness = null;
+  try {
+    if (normalize) {
+      loudness = await twoPassLoudnorm((chain, measuring) => encode([trim, chain].filter(Boolean).join(","), measuring), mastering.target, 44100);
+    } else {
+      await encode(trim, false);
+    }
   } catch (e) {
-    console.error("Error extracting audio:", e);
-    res.status(500).json({ error: String(e.message || e) });
+    await rmrf(dir, outFile);
+    throw e;
   }
+  
+  console.log("Audio extraction complete");
+  
+  return {
+    file: outFile,
+    type: "audio/mpeg",
+    filename: "extracted-audio.mp3",
+    headers: loudness ? loudnessHeader(loudness) : undefined,
+    cleanup: () => rmrf(dir, outFile)
+  };
 });
 
 // Add this endpoint after your existing endpoints in server.js
 
-app.post("/extract-screenshots", upload.single("video"), async (req, res) => {
+operation("extract-screenshots", upload.single("video"), async ({ file }) => {
   const tempDir = join(tmpdir(), `screenshots-${Date.now()}-${Math.random().toString(36).substring(7)}`);
   
   try {
@@ -1375,39 +1211,13 @@ app.post("/extract-screenshots", upload.single("video"), async (req, res) => {
     await fs.mkdir(tempDir, { recursive: true });
 
     const inputPath = join(tempDir, "input.mp4");
-    await fs.writeFile(inputPath, req.file.buffer);
+    if (!file) throw new HttpError(400, "Send 'video' as a form-data file");
+    await writeInput(inputPath, file.buffer);
 
     console.log("Getting video duration");
     // First, get the video duration
-    const durationPromise = new Promise((resolve, reject) => {
-      const process = spawn("ffprobe", [
-        "-v", "quiet",
-        "-print_format", "json",
-        "-show_format",
-        inputPath
-      ]);
-
-      let output = "";
-      process.stdout.on("data", (data) => {
-        output += data.toString();
-      });
-
-      process.on("close", (code) => {
-        if (code === 0) {
-          try {
-            const info = JSON.parse(output);
-            const duration = parseFloat(info.format.duration);
-            resolve(duration);
-          } catch (e) {
-            reject(e);
-          }
-        } else {
-          reject(new Error(`ffprobe failed with code ${code}`));
-        }
-      });
-    });
-
-    const duration = await durationPromise;
+    const { duration } = await probeInput(inputPath, "video");
+    if (!duration) throw new HttpError(415, "Unsupported media: video has no duration (still image?)");
     console.log(`Video duration: ${duration} seconds`);
 
     // Calculate 5 evenly spaced timestamps (avoiding very start and end)
@@ -1420,11 +1230,11 @@ app.post("/extract-screenshots", upload.single("video"), async (req, res) => {
     console.log("Timestamps for screenshots:", timestamps);
 
     // Extract screenshots at calculated timestamps
-    const screenshotPromises = timestamps.map((timestamp, index) => {
-      return new Promise((resolve, reject) => {
-        const outputPath = join(tempDir, `screenshot_${index + 1}.jpg`);
-        
-        const process = spawn("ffmpeg", [
+    // Each extraction goes through sh(), so the process pool decides how many run at once
+    const screenshotPromises = timestamps.map(async (timestamp, index) => {
+      const outputPath = join(tempDir, `screenshot_${index + 1}.jpg`);
+      try {
+        await sh("ffmpeg", [
           "-ss", timestamp.toString(),
           "-i", inputPath,
           "-vframes", "1",
@@ -1434,23 +1244,15 @@ app.post("/extract-screenshots", upload.single("video"), async (req, res) => {
           "-preset", "ultrafast",
           outputPath
         ]);
-
-        process.on("close", (code) => {
-          if (code === 0) {
-            console.log(`Screenshot ${index + 1} extracted successfully`);
-            resolve(outputPath);
-          } else {
-            reject(new Error(`Screenshot extraction failed for timestamp ${timestamp}`));
-          }
-        });
-
-        process.stderr.on("data", (data) => {
-          console.log(`FFmpeg stderr: ${data}`);
-        });
-      });
+      } catch (e) {
+        console.log(`FFmpeg stderr: ${e.message}`);
+        throw new Error(`Screenshot extraction failed for timestamp ${timestamp}`);
+      }
+      console.log(`Screenshot ${index + 1} extracted successfully`);
+      return outputPath;
     });
 
-    console.log("Extracting all screenshots simultaneously");
+    console.log("Extracting all screenshots");
     const screenshotPaths = await Promise.all(screenshotPromises);
 
     // Read all screenshot files
@@ -1469,13 +1271,12 @@ app.post("/extract-screenshots", upload.single("video"), async (req, res) => {
 
     // For now, return the first screenshot as response
     // You can modify this to return all screenshots as needed
-    res.setHeader("Content-Type", "image/jpeg");
-    res.setHeader("Content-Disposition", "attachment; filename=screenshot_1.jpg");
-    res.send(screenshots[0].buffer);
+    return { buffer: screenshots[0].buffer, type: "image/jpeg", filename: "screenshot_1.jpg" };
 
   } catch (error) {
     console.error("Screenshot extraction failed:", error);
-    res.status(500).json({ 
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(500, error.message, { 
       error: "Screenshot extraction failed", 
       message: error.message 
     });
@@ -1490,5 +1291,413 @@ app.post("/extract-screenshots", upload.single("video"), async (req, res) => {
   }
 });
 
+// ------------------------------
+// RESUMABLE UPLOADS (see lib/uploads.js)
+// ------------------------------
+// POST /uploads?size= -> id; PUT /uploads/:id?offset=N with each raw chunk (or an
+// Upload-Offset header); HEAD/GET for the bytes received; POST /uploads/:id/finalize;
+// then e.g. POST /crop-upload?upload=<id> or /place-on-template?upload[video]=<id>.
+app.post("/uploads", async (req, res) => {
+  try {
+    const upload = await createUpload({ size: req.query.size, filename: req.query.filename });
+    console.log(`[uploads] created ${upload.id}${upload.size ? ` (${upload.size} bytes)` : ""}`);
+    res.status(201).json({ ...upload, uploadUrl: publicUrl(req, `/uploads/${upload.id}`) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.put("/uploads/:id", async (req, res) => {
+  try {
+    const raw = req.query.offset ?? req.get("upload-offset");
+    const upload = await appendChunk(req.params.id, raw === undefined ? NaN : Number(raw), req);
+    res.set("Upload-Offset", String(upload.offset)).json(upload);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// HEAD answers with just the Upload-Offset header, for cheap resume checks
+app.get("/uploads/:id", async (req, res) => {
+  try {
+    const upload = await getUpload(req.params.id);
+    res.set("Upload-Offset", String(upload.offset)).json(upload);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/uploads/:id/finalize", async (req, res) => {
+  try {
+    const upload = await finalizeUpload(req.params.id, req.query.checksum);
+    console.log(`[uploads] finalized ${upload.id} (${upload.size} bytes)`);
+    res.json(upload);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/uploads/:id", async (req, res) => {
+  try {
+    if (!(await deleteUpload(req.params.id))) return res.status(404).json({ error: "Upload not found" });
+    res.status(204).end();
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ------------------------------
+// STORED MEDIA (see lib/storage.js)
+// ------------------------------
+// STORAGE_BACKEND=local|s3 decides where objects live; PUBLIC_BASE_URL is the origin
+// handed out in URLs (defaults to the origin the request came in on).
+function publicUrl(req, path) {
+  const base = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+  return base.replace(/\/$/, "") + path;
+}
+
+// Link to a stored object; `sign` is signOptions() output (see lib/signing.js) or null
+function videoLink(req, meta, sign) {
+  const path = `/get-video/${meta.id}`;
+  if (!sign) return { videoUrl: publicUrl(req, path) };
+  const link = signPath(path, { ...sign, notAfter: meta.expiresAt });
+  return { videoUrl: publicUrl(req, `${path}?${link.query}`), urlExpiresAt: link.expiresAt, scope: sign.scope };
+}
+
+// ?signed=1 (implied by URL_SIGNING_REQUIRED) asks for a signed link
+function wantsSignedLink(query) {
+  return SIGNING_REQUIRED || query.signed === "1" || query.signed === "true";
+}
+
+// Store video and return clean URL; ?ttl= seconds until it expires,
+// ?signed=1&expiresIn=&scope=view|download for a signed link
+app.post("/store-video", rawUpload, async (req, res) => {
+  try {
+    if (!req.body?.length) return res.status(400).json({ error: "No video file in body" });
+    
+    console.log(`Storing video, size: ${req.body.length} bytes`);
+
+    // Trust the upload's type when it names media; raw uploads have always been MP4
+    const declared = req.get("content-type")?.split(";")[0].trim();
+    const contentType = /^(video|audio|image)\//.test(declared || "") ? declared : "video/mp4";
+    const ttl = parseTtl(req.query.ttl);
+    const sign = wantsSignedLink(req.query) ? signOptions(req.query) : null;
+    const meta = await putObject(req.body, { contentType, ttl });
+
+    console.log(`Video stored with ID: ${meta.id}, expires ${meta.expiresAt}`);
+    
+    res.json({
+      success: true,
+      ...videoLink(req, meta, sign),
+      videoId: meta.id,
+      fileSize: meta.size,
+      contentType: meta.contentType,
+      checksum: meta.checksum,
+      createdAt: meta.createdAt,
+      expiresAt: meta.expiresAt
+    });
+    
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Serve stored videos: seekable (Range), cacheable (ETag/Last-Modified), ?download=1 for attachment.
+// Signed links are checked before the object is even looked up; a download-scoped
+// link always downloads, a view-scoped one never does.
+app.get("/get-video/:videoId", async (req, res) => {
+  try {
+    const scope = verifyPath(`/get-video/${req.params.videoId}`, req.query);
+    let download = req.query.download === "1" || req.query.download === "true";
+    if (scope === "view" && download) throw new HttpError(403, "This link does not allow downloads");
+    if (scope === "download") download = true;
+
+    const meta = await getObject(req.params.videoId);
+    if (!meta) return res.status(404).json({ error: "Video not found" });
+    
+    console.log(`Serving video: ${meta.id}${req.get("range") ? ` (${req.get("range")})` : ""}`);
+    
+    await sendStored(req, res, meta, { download });
+    
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Stored object metadata. Guarded like /get-video: with URL_SIGNING_REQUIRED it takes
+// the video's signed-link query (?expires=&scope=&kid=&sig=) or the admin token.
+app.get("/videos/:id", async (req, res) => {
+  try {
+    const auth = req.get("authorization");
+    if (SIGNING_REQUIRED && auth && req.query.sig === undefined) checkAdmin(auth);
+    else verifyPath(`/get-video/${req.params.id}`, req.query);
+    const meta = await getObject(req.params.id);
+    if (!meta) return res.status(404).json({ error: "Video not found" });
+    res.json(meta);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Fresh signed link for a stored object (?expiresIn=&scope=), e.g. after a key rotation.
+// Admin only, like deleting: either works on any id (see ADMIN_TOKEN in lib/signing.js).
+app.post("/videos/:id/sign", async (req, res) => {
+  try {
+    checkAdmin(req.get("authorization"));
+    const sign = signOptions(req.query);
+    const meta = await getObject(req.params.id);
+    if (!meta) return res.status(404).json({ error: "Video not found" });
+    res.json({ videoId: meta.id, ...videoLink(req, meta, sign) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/videos/:id", async (req, res) => {
+  try {
+    checkAdmin(req.get("authorization"));
+    if (!(await deleteObject(req.params.id))) return res.status(404).json({ error: "Video not found" });
+    console.log(`Deleted video: ${req.params.id}`);
+    res.status(204).end();
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ------------------------------
+// TEMPLATES (see lib/templates.js)
+// ------------------------------
+// A library of templates (stills or animations) with optional layout defaults for
+// /place-on-template. POST /templates (form-data 'template' file, optional 'layout' JSON and 'name');
+// GET /templates; GET, PUT (any of the same fields) and DELETE /templates/:id.
+const templateUpload = upload.fields([{ name: "template", maxCount: 1 }, { name: "layout", maxCount: 1 }]);
+
+// The layout as stored: validated, but kept as the caller wrote it. Empty clears it.
+function templateLayout(input) {
+  if (input === null || input === "") return null;
+  parseLayout(input);
+  return Buffer.isBuffer(input) || typeof input === "string" ? JSON.parse(String(input)) : input;
+}
+
+// Fields of a POST/PUT (form-data or JSON); the image must decode before it is stored
+async function templateFields(req) {
+  const file = req.files?.template?.[0];
+  const layoutInput = req.files?.layout?.[0]?.buffer ?? req.body?.layout;
+  const fields = {
+    name: req.body?.name,
+    layout: layoutInput === undefined ? undefined : templateLayout(layoutInput)
+  };
+  if (file) {
+    const { dir } = await mediaToTemp(file.buffer, "video", extname(file.originalname || "") || ".png", "template");
+    await rmrf(dir);
+    Object.assign(fields, { image: file.buffer, contentType: file.mimetype });
+  }
+  return fields;
+}
+
+app.post("/templates", templateUpload, async (req, res) => {
+  try {
+    if (!req.files?.template?.[0]) throw new HttpError(400, "Send the 'template' image as a form-data file.");
+    const meta = await createTemplate(await templateFields(req));
+    console.log(`[templates] Created ${meta.id}${meta.name ? ` (${meta.name})` : ""}`);
+    res.status(201).json(meta);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/templates", async (_, res) => {
+  try {
+    res.json({ templates: await listTemplates() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/templates/:id", async (req, res) => {
+  try {
+    const meta = await getTemplate(req.params.id);
+    if (!meta) return res.status(404).json({ error: "Template not found" });
+    res.json(meta);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.put("/templates/:id", templateUpload, async (req, res) => {
+  try {
+    const meta = await updateTemplate(req.params.id, await templateFields(req));
+    console.log(`[templates] Updated ${meta.id}`);
+    res.json(meta);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/templates/:id", async (req, res) => {
+  try {
+    if (!(await deleteTemplate(req.params.id))) return res.status(404).json({ error: "Template not found" });
+    console.log(`[templates] Deleted ${req.params.id}`);
+    res.status(204).end();
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ------------------------------
+// JOBS
+// ------------------------------
+// Submit any operation in the background: POST /jobs/<operation> takes the same
+// body and query as POST /<operation> and answers 202 with the job id.
+// With ?callbackUrl= (here or on the plain route) the finished job is reported there.
+function submitJob(req, res, name) {
+  const { handler } = operations.get(name);
+  const input = requestInput(req);
+  const { inputDirs, callbackUrl } = req;
+  let job;
+  try {
+    job = createJob(name, ctx => handler(input, ctx).finally(() => rmrf(...inputDirs)));
+  } catch (e) {
+    // Not awaited: the 503 goes out now, and a failed removal is only logged
+    rmrf(...inputDirs).catch(err => console.error("[jobs] input cleanup failed:", err.message || err));
+    return sendError(res, e);
+  }
+  if (callbackUrl) {
+    const off = subscribe(job.id, type => {
+      if (type !== "state" || !isFinished(job)) return;
+      off();
+      notifyCallback(job, callbackUrl, req).catch(e => console.error(`[webhooks] ${job.id}:`, e));
+    });
+  }
+  res.status(202).json({
+    ...jobStatus(job),
+    statusUrl: `/jobs/${job.id}`,
+    resultUrl: `/jobs/${job.id}/result`,
+    ...(callbackUrl ? { callbackUrl } : {})
+  });
+}
+
+// Store an operation result like /store-video does and describe the stored copy
+async function publishResult(result, req) {
+  if (result.json) return { json: result.json };
+  const body = result.buffer || await fs.readFile(result.file);
+  const meta = await putObject(body, { contentType: result.type });
+  let info = null;
+  const tmp = result.file ? null : await bufferToTempWithExt(body);
+  try {
+    const { video, audio, ...rest } = await probe(result.file || tmp.file);
+    info = rest;
+  } catch {
+    // Not every output is media ffprobe understands; the link is still useful
+  } finally {
+    if (tmp) await rmrf(tmp.dir);
+  }
+  return {
+    ...videoLink(req, meta, SIGNING_REQUIRED ? signOptions({}) : null),
+    videoId: meta.id,
+    filename: result.filename,
+    contentType: meta.contentType,
+    size: meta.size,
+    checksum: meta.checksum,
+    expiresAt: meta.expiresAt,
+    probe: info
+  };
+}
+
+async function notifyCallback(job, url, req) {
+  const { createdAt, startedAt, finishedAt } = jobStatus(job);
+  const payload = {
+    id: job.id,
+    operation: job.operation,
+    status: job.state,
+    timing: {
+      createdAt,
+      startedAt,
+      finishedAt,
+      queuedMs: job.startedAt - job.createdAt,
+      processingMs: job.finishedAt - job.startedAt
+    },
+    result: null,
+    error: job.error
+  };
+  if (job.state === "done") {
+    try {
+      payload.result = await publishResult(job.result, req);
+    } catch (e) {
+      payload.error = { status: e.status || 500, error: `Result could not be stored: ${e.message || e}` };
+    }
+  }
+  await deliverWebhook(url, payload);
+}
+
+app.post("/jobs/:operation",
+  admission,
+  (req, res, next) => {
+    const op = operations.get(req.params.operation);
+    if (!op) {
+      return res.status(404).json({
+        error: `Unknown operation '${req.params.operation}'`,
+        operations: [...operations.keys()]
+      });
+    }
+    op.parser(req, res, next);
+  },
+  callbackTarget,
+  referencedInputs,
+  (req, res) => submitJob(req, res, req.params.operation)
+);
+
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(jobStatus(job));
+});
+
+// Live state/progress as Server-Sent Events; the stream ends when the job does
+app.get("/jobs/:id/events", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send("state", jobStatus(job));
+  if (isFinished(job)) return res.end();
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  const unsubscribe = subscribe(job.id, (event, data) => {
+    send(event, data);
+    if (event === "state" && isFinished(job)) res.end();
+  });
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+app.get("/jobs/:id/result", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (job.state === "failed") {
+    return res.status(job.error.status).json(job.error);
+  }
+  if (job.state !== "done") {
+    return res.status(409).json({ error: `Job is ${job.state}`, progress: job.progress });
+  }
+  // Results stay on disk until the job expires, so no cleanup here
+  sendResult(res, { ...job.result, cleanup: null });
+});
+
+// Process pool and job queue load
+app.get("/stats", (_, res) => {
+  res.json({ ffmpeg: poolStats(), jobs: jobStats() });
+});
+
 app.get("/", (_, res) => res.send("OK"));
 app.listen(process.env.PORT || 8080, () => console.log("Crop API running"));
\ No newline at end of file